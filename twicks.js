@@ -2,7 +2,7 @@
    Goals:
    - One JavaScript file, no ES module imports
    - Namespaced architecture (TWX.*) for maintainability
-   - Async-safe storage: localStorage with IndexedDB fallback
+   - Async-safe storage: IndexedDB record stores + localStorage for small keys
    - Robust validation, currency formatting, date formatting
    - Event delegation, batched DOM updates (rAF/DocumentFragment)
    - Drive backup/restore (GIS + Drive v3) with safer UI
@@ -25,13 +25,59 @@ const TWX = (() => {
         SELLERS: "twicks_sellers_v1",
         CASH: "twicks_cash_v1",
         PREF_PAID_BOTTOM: "twicks_paid_bottom_pref",
-        SHIP_OUT_MAP: "twicks_shipping_v1", // { buyerName: number }
+        SHIP_OUT_MAP: "twicks_shipping_v1", // legacy { buyerName: number }, seeds SHIPMENTS
         SELLER_LAST: "twicks_last_seller",
         BUYERS: "twicks_buyers_v1",
         BUYER_LAST: "twicks_last_buyer",
+        SCHEMA: "twicks_schema_v1", // { storageKey: appliedVersion }
+        REVS: "twicks_revs_v1", // { storageKey: writeCounter } shared by tabs
+        HISTORY: "twicks_history_v1", // sessionStorage: undo/redo journal
+        EVENTS: "twicks_events_v1", // append-only item lifecycle log
+        IDB_KEYS: "twicks_idb_keys_v1", // whole-value keys moved out of localStorage
+        PAYMENTS: "twicks_payments_v1", // buyer payments/installments
+        LOTS: "twicks_lots_v1", // multi-card purchases (items carry lotId)
+        MARKDOWN_RULES: "twicks_markdown_rules_v1", // For Sale aging/repricing rules
+        SHIPMENTS: "twicks_shipments_v1", // parcels sent to buyers
+        ACCOUNTS: "twicks_accounts_v1", // cash accounts (entries' source is the account name)
+        EXPENSE_LAST: "twicks_last_expense_account",
+        FX_RATES: "twicks_fx_rates_v1", // [{ code, rate (₱ per unit), updatedAt }]
+        FX_LAST: "twicks_last_currency",
+        BUYER_PROFILES: "twicks_buyer_profiles_v1", // [{ name, fb, phone, address, courier, notes }]
+        REMINDERS: "twicks_reminders_v1", // payment follow-ups sent: [{ buyer, level, balance, at }]
     };
 
-    const DB = { NAME: "twicksDB", STORE: "store" };
+    const DB = { NAME: "twicksDB", STORE: "store", IMAGES: "images", VERSION: 4 };
+
+    // Collections stored as one IndexedDB record per item (keyPath "id")
+    const RECORD_STORES = {
+        [KEYS.BOUGHT]: "bought",
+        [KEYS.FORSALE]: "forsale",
+        [KEYS.SOLD]: "sold",
+        [KEYS.EVENTS]: "events",
+    };
+    const ITEM_INDEXES = ["seller", "buyer", "status", "createdAt"];
+    const RECORD_INDEXES = {
+        bought: ITEM_INDEXES,
+        forsale: ITEM_INDEXES,
+        sold: ITEM_INDEXES,
+        events: ["itemId", "type", "at"],
+    };
+
+    // App data kept as one whole value (localStorage, or IndexedDB once moved)
+    const VALUE_KEYS = [
+        KEYS.CASH,
+        KEYS.SELLERS,
+        KEYS.BUYERS,
+        KEYS.SHIP_OUT_MAP,
+        KEYS.PAYMENTS,
+        KEYS.LOTS,
+        KEYS.MARKDOWN_RULES,
+        KEYS.SHIPMENTS,
+        KEYS.ACCOUNTS,
+        KEYS.FX_RATES,
+        KEYS.BUYER_PROFILES,
+        KEYS.REMINDERS,
+    ];
 
     const GOOGLE = {
         CLIENT_ID:
@@ -58,6 +104,11 @@ const TWX = (() => {
         uid: () =>
             Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
         fmtMoney: (n) => peso.format(Number(n || 0)),
+        // Stored timestamps may be missing on data a migration didn't reach
+        fmtDate: (t) => {
+            const d = new Date(t);
+            return t && !isNaN(d) ? dateFmt.format(d) : "—";
+        },
         fmtSigned: (n) =>
             (n < 0 ? "-" : "") + peso.format(Math.abs(Number(n || 0))),
         esc: (s) =>
@@ -109,28 +160,115 @@ const TWX = (() => {
     };
 
     /* =========================================
-       STORAGE (localStorage + IndexedDB fallback)
+       STORAGE (IndexedDB records + localStorage)
+       - BOUGHT / FORSALE / SOLD: one IndexedDB record per item
+       - everything else: localStorage with IndexedDB fallback
     ========================================= */
     const Storage = (() => {
         let idb = null;
+        let opening = null;
+        const listeners = new Set();
+        const base = {}; // record key → Map(id → JSON) as this tab last saw it
+        const seen = {}; // other keys → revision this tab last read or wrote
+
+        class StaleWriteError extends Error {
+            constructor(key) {
+                super(`${key} was changed in another tab.`);
+                this.name = "StaleWriteError";
+                this.key = key;
+            }
+        }
+
+        const storeFor = (key) => RECORD_STORES[key] || null;
+        // Newest first, matching the old unshift() ordering of the arrays
+        const SORT_FIELDS = { [KEYS.SOLD]: "soldAt", [KEYS.EVENTS]: "at" };
+        const sortField = (key) => SORT_FIELDS[key] || "createdAt";
 
         function openDB() {
             return new Promise((resolve, reject) => {
-                const req = indexedDB.open(DB.NAME, 1);
-                req.onupgradeneeded = () => req.result.createObjectStore(DB.STORE);
-                req.onsuccess = () => resolve(req.result);
+                const req = indexedDB.open(DB.NAME, DB.VERSION);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    if (!db.objectStoreNames.contains(DB.STORE))
+                        db.createObjectStore(DB.STORE);
+                    if (!db.objectStoreNames.contains(DB.IMAGES))
+                        db.createObjectStore(DB.IMAGES, { keyPath: "hash" });
+                    Object.values(RECORD_STORES).forEach((name) => {
+                        if (db.objectStoreNames.contains(name)) return;
+                        const st = db.createObjectStore(name, { keyPath: "id" });
+                        RECORD_INDEXES[name].forEach((field) =>
+                            st.createIndex(field, field, { unique: false })
+                        );
+                    });
+                };
+                // an older tab still holds the previous version open
+                req.onblocked = () => blockedNotice(true);
+                req.onsuccess = () => {
+                    blockedNotice(false);
+                    const db = req.result;
+                    // a newer version opening in another tab: step aside and reload
+                    db.onversionchange = () => {
+                        db.close();
+                        idb = null;
+                        alert("Twicks was updated in another tab. This page will reload.");
+                        location.reload();
+                    };
+                    resolve(db);
+                };
                 req.onerror = () => reject(req.error);
             });
         }
+
+        function blockedNotice(show) {
+            let el = document.getElementById("twxDbBlocked");
+            if (!show) {
+                el?.remove();
+                return;
+            }
+            if (el || !document.body) return;
+            el = document.createElement("div");
+            el.id = "twxDbBlocked";
+            el.setAttribute("role", "alert");
+            el.style.cssText =
+                "position:fixed;left:12px;right:12px;top:12px;z-index:9999;padding:10px 12px;border-radius:10px;background:#3a2a00;border:1px solid rgba(255,170,0,.6);color:#fff;";
+            el.textContent =
+                "⚠ Twicks is updating its storage. Close or reload other Twicks tabs to continue.";
+            document.body.appendChild(el);
+        }
+
         async function ensureDB() {
             if (idb) return idb;
-            try {
-                idb = await openDB();
-            } catch {
-                idb = null;
+            if (!opening) {
+                opening = (async () => {
+                    try {
+                        idb = await openDB();
+                        await importLegacy(idb);
+                        await reconcileValues(idb);
+                    } catch (err) {
+                        console.warn("[Twicks Storage] IndexedDB unavailable:", err);
+                        idb = null;
+                    }
+                    opening = null;
+                    return idb;
+                })();
             }
-            return idb;
+            return opening;
+        }
+
+        function txDone(tx) {
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+        function reqDone(r) {
+            return new Promise((resolve, reject) => {
+                r.onsuccess = () => resolve(r.result);
+                r.onerror = () => reject(r.error);
+            });
         }
+
         async function idbGet(key) {
             const db = await ensureDB();
             if (!db) return undefined;
@@ -154,8 +292,205 @@ const TWX = (() => {
             });
         }
 
+        // One-time move of whole-array collections (localStorage, or the old
+        // IndexedDB fallback blob) into their record stores. Runs again only if
+        // something writes the legacy key back, e.g. an old cloud snapshot.
+        // The old save wrote the blob only once localStorage was full and left
+        // the local array behind, so when both exist the blob is the newer one.
+        async function importLegacy(db) {
+            for (const key of Object.keys(RECORD_STORES)) {
+                const tx0 = db.transaction(DB.STORE, "readonly");
+                let items = await reqDone(tx0.objectStore(DB.STORE).get(key)).catch(
+                    () => undefined
+                );
+                let hasLocal = false;
+                try {
+                    const raw = localStorage.getItem(key);
+                    if (raw != null) {
+                        hasLocal = true;
+                        if (items === undefined) items = JSON.parse(raw);
+                    }
+                } catch { }
+                if (items === undefined) continue;
+
+                const name = RECORD_STORES[key];
+                const tx = db.transaction([name, DB.STORE], "readwrite");
+                const st = tx.objectStore(name);
+                st.clear();
+                (Array.isArray(items) ? items : []).forEach((it) => {
+                    if (it && typeof it === "object")
+                        st.put({ ...it, id: it.id || Util.uid() });
+                });
+                tx.objectStore(DB.STORE).delete(key);
+                await txDone(tx);
+                if (hasLocal) {
+                    try {
+                        localStorage.removeItem(key);
+                    } catch { }
+                }
+                console.log(`[Twicks Storage] imported ${key} into IndexedDB`);
+            }
+        }
+
+        // The old save spilled a value into the fallback store when localStorage
+        // was full but kept reading localStorage first, so a key can have both
+        // copies. The IndexedDB one is the newer: adopt it and drop the other.
+        async function reconcileValues(db) {
+            const tx = db.transaction(DB.STORE, "readonly");
+            const keys = await reqDone(tx.objectStore(DB.STORE).getAllKeys()).catch(() => []);
+            const set = idbKeys();
+            let changed = false;
+            keys.forEach((key) => {
+                if (typeof key !== "string" || storeFor(key) || set.has(key)) return;
+                set.add(key);
+                changed = true;
+                try {
+                    localStorage.removeItem(key);
+                } catch { }
+                console.warn(`[Twicks Storage] ${key} reconciled to its IndexedDB copy`);
+            });
+            if (!changed) return;
+            try {
+                localStorage.setItem(KEYS.IDB_KEYS, JSON.stringify([...set]));
+            } catch { }
+        }
+
+        async function recordsAll(key) {
+            const db = await ensureDB();
+            if (!db) return [];
+            const tx = db.transaction(storeFor(key), "readonly");
+            const all = await reqDone(tx.objectStore(storeFor(key)).getAll());
+            base[key] = new Map(all.map((r) => [r.id, JSON.stringify(r)]));
+            const f = sortField(key);
+            return all.sort((a, b) => (b[f] || 0) - (a[f] || 0));
+        }
+
+        // Write only what this tab changed since it last loaded the collection.
+        // Records another tab added are left alone; records another tab changed
+        // in the meantime make the whole save fail with StaleWriteError.
+        async function recordsReplace(key, list) {
+            const db = await ensureDB();
+            if (!db) throw new Error("IndexedDB is not available.");
+            const name = storeFor(key);
+            const tx = db.transaction(name, "readwrite");
+            const st = tx.objectStore(name);
+            const existing = await reqDone(st.getAll());
+            const byId = new Map(existing.map((r) => [r.id, r]));
+            const current = new Map(existing.map((r) => [r.id, JSON.stringify(r)]));
+            const prev = base[key] || current;
+
+            const next = new Map();
+            (list || []).forEach((rec) => {
+                if (rec && rec.id != null) next.set(rec.id, rec);
+            });
+
+            const writes = [];
+            const deletes = [];
+            const conflicts = [];
+            next.forEach((rec, id) => {
+                const json = JSON.stringify(rec);
+                if (prev.get(id) === json) return;
+                if (current.get(id) !== prev.get(id) && current.get(id) !== json)
+                    conflicts.push(id);
+                writes.push([id, rec, json]);
+            });
+            prev.forEach((json, id) => {
+                if (next.has(id) || !current.has(id)) return;
+                if (current.get(id) !== json) conflicts.push(id);
+                deletes.push(id);
+            });
+
+            if (conflicts.length) {
+                tx.abort();
+                delete base[key];
+                throw new StaleWriteError(key);
+            }
+
+            writes.forEach(([, rec]) => st.put(rec));
+            deletes.forEach((id) => st.delete(id));
+            await txDone(tx);
+
+            writes.forEach(([id, , json]) => current.set(id, json));
+            deletes.forEach((id) => current.delete(id));
+            base[key] = current;
+            return writes
+                .map(([id, rec]) => ({ id, before: byId.get(id) ?? null, after: rec }))
+                .concat(deletes.map((id) => ({ id, before: byId.get(id), after: null })));
+        }
+
+        async function readValue(key) {
+            if (idbKeys().has(key)) return (await idbGet(key)) ?? null;
+            try {
+                const raw = localStorage.getItem(key);
+                if (raw != null) return JSON.parse(raw);
+            } catch { }
+            return (await idbGet(key)) ?? null;
+        }
+
+        // Whole-value keys that outgrew localStorage and now live in IndexedDB.
+        // Once moved, a key is read and written only there, so a stale
+        // localStorage copy can never shadow newer data.
+        function idbKeys() {
+            try {
+                return new Set(JSON.parse(localStorage.getItem(KEYS.IDB_KEYS) || "[]"));
+            } catch {
+                return new Set();
+            }
+        }
+
+        async function moveToIdb(key, val) {
+            if (storeFor(key) || idbKeys().has(key)) return;
+            const value = val === undefined ? await readValue(key) : val;
+            await idbSet(key, value ?? []);
+            try {
+                localStorage.removeItem(key);
+            } catch { }
+            const set = idbKeys();
+            set.add(key);
+            try {
+                localStorage.setItem(KEYS.IDB_KEYS, JSON.stringify([...set]));
+            } catch { }
+            console.warn(`[Twicks Storage] ${key} moved to IndexedDB`);
+        }
+
+        function readRevs() {
+            try {
+                const parsed = JSON.parse(localStorage.getItem(KEYS.REVS) || "{}");
+                return parsed && typeof parsed === "object" ? parsed : {};
+            } catch {
+                return {};
+            }
+        }
+
+        // Bumping the shared revision also fires a "storage" event in other tabs
+        function bumpRev(key) {
+            const revs = readRevs();
+            revs[key] = (revs[key] || 0) + 1;
+            seen[key] = revs[key];
+            try {
+                localStorage.setItem(KEYS.REVS, JSON.stringify(revs));
+            } catch { }
+        }
+
+        function notify(key, changes) {
+            bumpRev(key);
+            const ids = storeFor(key) ? changes.map((c) => c.id) : null;
+            listeners.forEach((fn) => {
+                try {
+                    fn({ key, ids, changes });
+                } catch (err) {
+                    console.warn("[Twicks Storage] listener failed:", err);
+                }
+            });
+        }
+
         return {
+            StaleWriteError,
+            isRecordKey: (key) => !!storeFor(key),
             async load(key, fallback = []) {
+                if (storeFor(key)) return await recordsAll(key);
+                seen[key] = readRevs()[key] || 0;
+                if (idbKeys().has(key)) return (await idbGet(key)) ?? fallback;
                 try {
                     const raw = localStorage.getItem(key);
                     if (raw != null) {
@@ -171,11 +506,114 @@ const TWX = (() => {
                 return v ?? fallback;
             },
             async save(key, val) {
+                if (storeFor(key)) {
+                    const changes = await recordsReplace(key, val);
+                    if (changes.length) notify(key, changes);
+                    return;
+                }
+                // A tab that read this key before another tab rewrote it must
+                // reload before writing, or it would clobber the newer value.
+                if (key in seen && (readRevs()[key] || 0) > seen[key]) {
+                    delete seen[key];
+                    throw new StaleWriteError(key);
+                }
+                const changes = [{ id: null, before: await readValue(key), after: val ?? [] }];
+                if (idbKeys().has(key)) {
+                    await idbSet(key, val ?? []);
+                    notify(key, changes);
+                    return;
+                }
                 try {
                     localStorage.setItem(key, JSON.stringify(val ?? []));
+                    notify(key, changes);
                     return;
-                } catch { }
-                await idbSet(key, val ?? []);
+                } catch (err) {
+                    console.warn(`[Twicks Storage] localStorage refused ${key}:`, err?.name || err);
+                }
+                await moveToIdb(key, val ?? []);
+                notify(key, changes);
+            },
+            // "localStorage" | "indexeddb" for reporting (see Quota)
+            locationOf(key) {
+                return storeFor(key) || idbKeys().has(key) ? "indexeddb" : "localStorage";
+            },
+            moveToIdb: (key) => moveToIdb(key),
+            async blobStats() {
+                const db = await ensureDB();
+                if (!db) return { count: 0, bytes: 0 };
+                const tx = db.transaction(DB.IMAGES, "readonly");
+                const all = await reqDone(tx.objectStore(DB.IMAGES).getAll());
+                return { count: all.length, bytes: all.reduce((s, r) => s + (r.size || 0), 0) };
+            },
+            // Single-record access for the record collections
+            async get(key, id) {
+                const db = await ensureDB();
+                if (!db || !storeFor(key)) return undefined;
+                const tx = db.transaction(storeFor(key), "readonly");
+                return await reqDone(tx.objectStore(storeFor(key)).get(id));
+            },
+            async query(key, index, value) {
+                const db = await ensureDB();
+                if (!db || !storeFor(key)) return [];
+                const tx = db.transaction(storeFor(key), "readonly");
+                return await reqDone(
+                    tx.objectStore(storeFor(key)).index(index).getAll(value)
+                );
+            },
+            async put(key, record) {
+                const db = await ensureDB();
+                if (!db || !storeFor(key)) throw new Error(`Cannot put into ${key}`);
+                const tx = db.transaction(storeFor(key), "readwrite");
+                const st = tx.objectStore(storeFor(key));
+                const before = (await reqDone(st.get(record.id))) ?? null;
+                st.put(record);
+                await txDone(tx);
+                base[key]?.set(record.id, JSON.stringify(record));
+                notify(key, [{ id: record.id, before, after: record }]);
+            },
+            async remove(key, id) {
+                const db = await ensureDB();
+                if (!db || !storeFor(key)) throw new Error(`Cannot delete from ${key}`);
+                const tx = db.transaction(storeFor(key), "readwrite");
+                const st = tx.objectStore(storeFor(key));
+                const before = (await reqDone(st.get(id))) ?? null;
+                st.delete(id);
+                await txDone(tx);
+                base[key]?.delete(id);
+                notify(key, [{ id, before, after: null }]);
+            },
+            // Image blobs keyed by content hash (see Images); not journaled
+            async blobGet(hash) {
+                const db = await ensureDB();
+                if (!db) return undefined;
+                const tx = db.transaction(DB.IMAGES, "readonly");
+                return await reqDone(tx.objectStore(DB.IMAGES).get(hash));
+            },
+            async blobPut(rec) {
+                const db = await ensureDB();
+                if (!db) throw new Error("IndexedDB is not available.");
+                const tx = db.transaction(DB.IMAGES, "readwrite");
+                tx.objectStore(DB.IMAGES).put(rec);
+                await txDone(tx);
+            },
+            async blobDelete(hashes) {
+                const db = await ensureDB();
+                if (!db || !hashes.length) return;
+                const tx = db.transaction(DB.IMAGES, "readwrite");
+                hashes.forEach((h) => tx.objectStore(DB.IMAGES).delete(h));
+                await txDone(tx);
+            },
+            async blobHashes() {
+                const db = await ensureDB();
+                if (!db) return [];
+                const tx = db.transaction(DB.IMAGES, "readonly");
+                return await reqDone(tx.objectStore(DB.IMAGES).getAllKeys());
+            },
+            // Called after every write with { key, ids, changes }: ids is null for
+            // whole-value keys; changes is [{ id, before, after }] (id null there)
+            onWrite(fn) {
+                listeners.add(fn);
+                return () => listeners.delete(fn);
             },
             localGet(key) {
                 try {
@@ -199,132 +637,1685 @@ const TWX = (() => {
     })();
 
     /* =========================================
-       IMAGE HELPERS (compression)
-    ========================================= */
-    /* =========================================
-       IMAGE HELPERS (compression)
+       SCHEMA MIGRATIONS (versioned, per collection)
     ========================================= */
+    const Migrate = (() => {
+        const num = Util.clampNumber;
+        const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+        const asArray = (v) => (Array.isArray(v) ? v : []);
+        const names = (list) =>
+            Array.from(
+                new Set(
+                    asArray(list)
+                        .map((s) => (typeof s === "string" ? s.trim() : ""))
+                        .filter(Boolean)
+                )
+            );
+        const LEGACY_PAYMENT_NOTE = "Marked paid before installments";
+        // A seeding step may run again after a restore drops the schema
+        // version; a collection that already has entries is kept as is.
+        const seed = (build) => async (existing, read) =>
+            asArray(existing).length ? existing : build(read);
+
+        // STEPS[key][n] upgrades a collection from version n to n + 1.
+        // Append new steps at the end; never edit a step that has shipped.
+        const STEPS = {
+            [KEYS.BOUGHT]: [
+                (items) =>
+                    asArray(items).filter(isObj).map((it) => ({
+                        ...it,
+                        id: it.id || Util.uid(),
+                        seller: it.seller || "",
+                        name: it.name || "Card",
+                        buy: num(it.buy),
+                        ship: num(it.ship),
+                        sell: it.sell == null || it.sell === "" ? num(it.buy) : num(it.sell),
+                        createdAt: it.createdAt || Date.now(),
+                    })),
+                // v2: inline dataURL images move to the blob store
+                (items) => Images.internalize(items),
+            ],
+            [KEYS.FORSALE]: [
+                (items) =>
+                    asArray(items).filter(isObj).map((it) => ({
+                        ...it,
+                        id: it.id || Util.uid(),
+                        name: it.name || "Card",
+                        price: num(it.price),
+                        buy: num(it.buy),
+                        ship_in: num(it.ship_in),
+                        seller: it.seller || "",
+                        createdAt: it.createdAt || Date.now(),
+                    })),
+                // v2: inline dataURL images move to the blob store
+                (items) => Images.internalize(items),
+                // v3: listings know when they were listed (drives markdown rules)
+                (items) =>
+                    asArray(items).map((it) => ({
+                        ...it,
+                        listedAt: it.listedAt || it.createdAt || Date.now(),
+                    })),
+            ],
+            [KEYS.SOLD]: [
+                (items) =>
+                    asArray(items).filter(isObj).map((it) => ({
+                        ...it,
+                        id: it.id || Util.uid(),
+                        name: it.name || "Card",
+                        price: num(it.price),
+                        buy: num(it.buy),
+                        buyer: it.buyer || "Unknown",
+                        status: it.status === "Paid" ? "Paid" : "Pending",
+                        soldAt: it.soldAt || it.createdAt || Date.now(),
+                    })),
+                // v2: inline dataURL images move to the blob store
+                (items) => Images.internalize(items),
+            ],
+            [KEYS.CASH]: [
+                (items) =>
+                    asArray(items).filter(isObj).map((it) => ({
+                        ...it,
+                        id: it.id || Util.uid(),
+                        source: it.source || "Cash",
+                        amount: num(it.amount),
+                        note: it.note || "",
+                        createdAt: it.createdAt || Date.now(),
+                    })),
+            ],
+            [KEYS.SELLERS]: [names],
+            [KEYS.BUYERS]: [names],
+            [KEYS.SHIP_OUT_MAP]: [
+                (map) => {
+                    const out = {};
+                    if (isObj(map))
+                        Object.keys(map).forEach((buyer) => {
+                            if (buyer) out[buyer] = num(map[buyer]);
+                        });
+                    return out;
+                },
+            ],
+            [KEYS.PAYMENTS]: [
+                // v1: items already marked Paid become one payment per buyer
+                seed(async (read) => {
+                    const byBuyer = {};
+                    asArray(await read(KEYS.SOLD))
+                        .filter((it) => isObj(it) && it.status === "Paid")
+                        .forEach((it) => (byBuyer[it.buyer || "Unknown"] ||= []).push(it));
+                    return Object.keys(byBuyer).map((buyer) => {
+                        const list = byBuyer[buyer];
+                        const at = Math.max(...list.map((it) => num(it.soldAt)));
+                        return {
+                            id: Util.uid(),
+                            buyer,
+                            amount: list.reduce((s, it) => s + num(it.price), 0),
+                            source: "",
+                            note: LEGACY_PAYMENT_NOTE,
+                            itemIds: list.map((it) => it.id),
+                            paidAt: at,
+                            createdAt: at,
+                        };
+                    });
+                }),
+                // v2: seeded payments predate cash posting; old "Add to Cash"
+                // entries can't be linked to them, so count them as in Cash
+                (payments) =>
+                    asArray(payments).map((p) =>
+                        isObj(p) && p.note === LEGACY_PAYMENT_NOTE ? { ...p, legacy: true } : p
+                    ),
+            ],
+            [KEYS.LOTS]: [
+                (lots) =>
+                    asArray(lots).filter(isObj).map((l) => ({
+                        ...l,
+                        id: l.id || Util.uid(),
+                        seller: l.seller || "",
+                        name: l.name || "Lot",
+                        total: num(l.total),
+                        ship: num(l.ship),
+                        count: num(l.count),
+                        createdAt: l.createdAt || Date.now(),
+                    })),
+            ],
+            [KEYS.MARKDOWN_RULES]: [
+                (rules) =>
+                    asArray(rules)
+                        .filter(isObj)
+                        .map((r) => ({
+                            id: r.id || Util.uid(),
+                            afterDays: Math.max(0, Math.round(num(r.afterDays))),
+                            dropPct: Math.min(99, Math.max(0, num(r.dropPct))),
+                            round5: r.round5 !== false,
+                        })),
+            ],
+            [KEYS.SHIPMENTS]: [
+                // v1: each legacy per-buyer fee becomes one shipment of that buyer's items
+                seed(async (read) => {
+                    const map = await read(KEYS.SHIP_OUT_MAP);
+                    if (!isObj(map)) return [];
+                    const sold = asArray(await read(KEYS.SOLD)).filter(isObj);
+                    return Object.keys(map)
+                        .filter((buyer) => num(map[buyer]) > 0)
+                        .map((buyer) => {
+                            const list = sold.filter((it) => (it.buyer || "Unknown") === buyer);
+                            const at = list.length ? Math.max(...list.map((it) => num(it.soldAt))) : Date.now();
+                            return {
+                                id: Util.uid(),
+                                buyer,
+                                itemIds: list.map((it) => it.id),
+                                courier: "",
+                                tracking: "",
+                                fee: num(map[buyer]),
+                                status: "Shipped",
+                                shippedAt: at,
+                                createdAt: at,
+                            };
+                        });
+                }),
+            ],
+            [KEYS.ACCOUNTS]: [
+                // v1: the three built-in sources plus any other source already used
+                seed(async (read) => {
+                    const names = ["GCash", "SeaBank", "Cash"];
+                    asArray(await read(KEYS.CASH))
+                        .filter(isObj)
+                        .forEach((c) => {
+                            [c.source, c.to].forEach((n) => n && !names.includes(n) && names.push(n));
+                        });
+                    return names.map((name) => ({ id: Util.uid(), name, opening: 0, createdAt: Date.now() }));
+                }),
+            ],
+            [KEYS.FX_RATES]: [
+                (rates) =>
+                    asArray(rates)
+                        .filter((r) => isObj(r) && /^[A-Za-z]{3}$/.test(r.code || "") && num(r.rate) > 0)
+                        .map((r) => ({
+                            code: r.code.toUpperCase(),
+                            rate: num(r.rate),
+                            updatedAt: r.updatedAt || Date.now(),
+                        })),
+            ],
+            [KEYS.BUYER_PROFILES]: [
+                // v1: one profile per buyer name, text fields only
+                (profiles) => {
+                    const seen = new Set();
+                    return asArray(profiles)
+                        .filter((p) => isObj(p) && typeof p.name === "string" && p.name.trim())
+                        .filter((p) => !seen.has(p.name.trim()) && seen.add(p.name.trim()))
+                        .map((p) => {
+                            const out = { id: p.id || Util.uid(), name: p.name.trim() };
+                            ["fb", "phone", "address", "courier", "notes"].forEach((f) => {
+                                if (p[f] != null && String(p[f]).trim()) out[f] = String(p[f]).trim();
+                            });
+                            out.updatedAt = p.updatedAt || Date.now();
+                            return out;
+                        });
+                },
+            ],
+            [KEYS.REMINDERS]: [
+                (log) =>
+                    asArray(log)
+                        .filter((r) => isObj(r) && r.buyer && num(r.at) > 0)
+                        .map((r) => ({
+                            id: r.id || Util.uid(),
+                            buyer: String(r.buyer),
+                            level: num(r.level),
+                            balance: num(r.balance),
+                            at: num(r.at),
+                        })),
+            ],
+        };
 
-    const Img = {
-        fileToDataURL(file) {
-            return new Promise((res, rej) => {
-                const r = new FileReader();
-                r.onload = () => res(r.result);
-                r.onerror = rej;
-                r.readAsDataURL(file);
-            });
-        },
-
-        async compress(file, maxDim = 1000, quality = 0.7) {
-            try {
-                const bmp = await createImageBitmap(file);
-                const scale = Math.min(maxDim / Math.max(bmp.width, bmp.height), 1);
-                const nw = Math.round(bmp.width * scale);
-                const nh = Math.round(bmp.height * scale);
-
-                let canvas, ctx;
-                if ("OffscreenCanvas" in window) {
-                    canvas = new OffscreenCanvas(nw, nh);
-                    ctx = canvas.getContext("2d", { alpha: false });
-                    ctx.drawImage(bmp, 0, 0, nw, nh);
-
-                    let blob =
-                        (await canvas.convertToBlob({
-                            type: "image/webp",
-                            quality,
-                        }).catch(() => null)) ||
-                        (await canvas.convertToBlob({
-                            type: "image/jpeg",
-                            quality,
-                        }).catch(() => null));
-
-                    if (!blob) throw new Error("Blob conversion failed");
-                    return await Img.blobToDataURL(blob);
-
-                } else {
-                    const c = document.createElement("canvas");
-                    c.width = nw;
-                    c.height = nh;
-                    const c2d = c.getContext("2d", { alpha: false });
-                    c2d.drawImage(bmp, 0, 0, nw, nh);
+        // Collections whose first step builds them from other collections;
+        // payloads from before they existed still get them.
+        const SEEDED = new Set([KEYS.PAYMENTS, KEYS.SHIPMENTS, KEYS.ACCOUNTS]);
+
+        // Backup payload field → storage key
+        const PAYLOAD_FIELDS = {
+            bought: KEYS.BOUGHT,
+            forsale: KEYS.FORSALE,
+            sold: KEYS.SOLD,
+            cash: KEYS.CASH,
+            sellers: KEYS.SELLERS,
+            shipping: KEYS.SHIP_OUT_MAP,
+            buyers: KEYS.BUYERS,
+            payments: KEYS.PAYMENTS,
+            lots: KEYS.LOTS,
+            markdownRules: KEYS.MARKDOWN_RULES,
+            shipments: KEYS.SHIPMENTS,
+            accounts: KEYS.ACCOUNTS,
+            fxRates: KEYS.FX_RATES,
+            buyerProfiles: KEYS.BUYER_PROFILES,
+            reminders: KEYS.REMINDERS,
+        };
 
-                    let out =
-                        c.toDataURL("image/webp", quality) ||
-                        c.toDataURL("image/jpeg", quality);
+        const latest = (key) => STEPS[key].length;
 
-                    return out;
-                }
+        function versions() {
+            const out = {};
+            Object.keys(STEPS).forEach((key) => (out[key] = latest(key)));
+            return out;
+        }
 
+        function applied() {
+            try {
+                const parsed = JSON.parse(Storage.localGet(KEYS.SCHEMA) || "{}");
+                return isObj(parsed) ? parsed : {};
             } catch {
-                // fallback: load normally then resize
-                const dataUrl = await Img.fileToDataURL(file);
+                return {};
+            }
+        }
 
-                const img = await new Promise((res, rej) => {
-                    const i = new Image();
-                    i.onload = () => res(i);
-                    i.onerror = rej;
-                    i.src = dataUrl;
-                });
+        // read(key) gives a step the (already upgraded) value of another collection
+        async function upgrade(key, data, from = 0, read = (k) => Storage.load(k)) {
+            let out = data;
+            for (let v = Math.max(0, Number(from) || 0); v < latest(key); v++) {
+                out = await STEPS[key][v](out, read);
+            }
+            return out;
+        }
 
-                const scale = Math.min(maxDim / Math.max(img.naturalWidth, img.naturalHeight), 1);
-                const nw = Math.round(img.naturalWidth * scale);
-                const nh = Math.round(img.naturalHeight * scale);
+        // Upgrade every stored collection to the latest schema (boot time)
+        async function runAll() {
+            const done = applied();
+            let changed = false;
+            for (const key of Object.keys(STEPS)) {
+                const from = Number(done[key] || 0);
+                if (from >= latest(key)) continue;
+                const fallback = key === KEYS.SHIP_OUT_MAP ? {} : [];
+                const data = await Storage.load(key, fallback);
+                await Storage.save(key, await upgrade(key, data, from));
+                done[key] = latest(key);
+                changed = true;
+                console.log(`[Twicks Migrate] ${key}: v${from} → v${latest(key)}`);
+            }
+            if (changed) Storage.localSet(KEYS.SCHEMA, JSON.stringify(done));
+        }
 
-                const c = document.createElement("canvas");
-                c.width = nw;
-                c.height = nh;
-                c.getContext("2d", { alpha: false }).drawImage(img, 0, 0, nw, nh);
+        // Upgrade a backup payload in place; missing schema means v0 data
+        async function upgradePayload(data) {
+            const from = isObj(data?.schema) ? data.schema : {};
+            const fieldOf = {};
+            Object.keys(PAYLOAD_FIELDS).forEach((f) => (fieldOf[PAYLOAD_FIELDS[f]] = f));
+            const read = async (key) => data[fieldOf[key]];
+            for (const field of Object.keys(PAYLOAD_FIELDS)) {
+                const key = PAYLOAD_FIELDS[field];
+                if (data[field] == null) {
+                    if (!SEEDED.has(key) || from[key]) continue;
+                    data[field] = [];
+                }
+                data[field] = await upgrade(key, data[field], from[key], read);
+            }
+            data.schema = versions();
+            return data;
+        }
 
-                let out =
-                    c.toDataURL("image/webp", quality) ||
-                    c.toDataURL("image/jpeg", quality);
+        // After a restore has written upgraded data, mark it as current
+        function markCurrent() {
+            Storage.localSet(KEYS.SCHEMA, JSON.stringify(versions()));
+        }
 
-                if (!out || !out.startsWith("data:image/")) out = dataUrl;
-                return out;
-            }
-        },
+        return { runAll, upgradePayload, markCurrent, versions };
+    })();
 
-        blobToDataURL(blob) {
-            return new Promise((resolve, reject) => {
-                const r = new FileReader();
-                r.onload = () => resolve(r.result);
-                r.onerror = reject;
-                r.readAsDataURL(blob);
-            });
-        },
-    };
     /* =========================================
-       SUPABASE STORAGE (images in bucket "cards")
+       AUDIT TRAIL (item lifecycle events)
+       One stable item id from purchase to payment; events are append-only.
     ========================================= */
+    const Audit = (() => {
+        const LABELS = {
+            purchased: "Purchased",
+            listed: "Listed for sale",
+            repriced: "Repriced",
+            sold: "Sold",
+            paid: "Paid",
+            deleted: "Deleted",
+            restored: "Restored",
+            unlisted: "Returned to Inventory",
+            unsold: "Returned to For Sale",
+            edited: "Edited",
+            reserved: "Reserved",
+            released: "Hold released",
+        };
+        const STAGES = {
+            [KEYS.BOUGHT]: "inventory",
+            [KEYS.FORSALE]: "forsale",
+            [KEYS.SOLD]: "sold",
+        };
 
-    const SUPABASE_URL = "https://zqbkuwrwgvfhkajsebfo.supabase.co";
-    const SUPABASE_ANON_KEY = "YeyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...";
-    const SUPABASE_BUCKET = "cards";
+        async function log(type, item, data = {}, key = null) {
+            if (!item?.id || !LABELS[type]) return;
+            try {
+                await Storage.put(KEYS.EVENTS, {
+                    id: Util.uid(),
+                    itemId: item.id,
+                    type,
+                    at: Date.now(),
+                    stage: STAGES[key] || "",
+                    name: item.name || "Card",
+                    data,
+                });
+            } catch (err) {
+                // The log must never block the action it describes
+                console.warn("[Twicks Audit] could not log event:", err);
+            }
+        }
 
-    const SupaStore = (() => {
-        let client = null;
+        async function eventsFor(itemId) {
+            const list = await Storage.query(KEYS.EVENTS, "itemId", itemId);
+            return list.sort((a, b) => a.at - b.at);
+        }
 
-        function getClient() {
-            if (!window.supabase) {
-                console.warn("[Twicks] supabase-js not loaded; using local dataURL fallback.");
-                return null;
-            }
-            if (!client) {
-                const { createClient } = window.supabase;
-                client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+        const days = (ms) => Math.max(0, Math.round(ms / 86400000));
+
+        function describe(ev) {
+            const d = ev.data || {};
+            switch (ev.type) {
+                case "purchased":
+                    return `${d.seller ? "from " + d.seller + " • " : ""}${Util.fmtMoney(d.cost)}${d.lot ? " • " + d.lot : ""
+                        }`;
+                case "listed":
+                case "repriced":
+                    return Util.fmtMoney(d.price) + (d.rule ? " • " + d.rule : "");
+                case "sold":
+                    return `to ${d.buyer || "Unknown"} • ${Util.fmtMoney(d.price)}`;
+                case "paid":
+                    return Util.fmtMoney(d.amount);
+                case "edited":
+                    return (d.fields || []).join(", ");
+                case "reserved":
+                    return `for ${d.buyer} until ${Util.fmtDate(d.until)}`;
+                case "released":
+                    return `${d.buyer}${d.reason === "expired" ? " • expired" : ""}`;
+                default:
+                    return ev.stage ? `(${ev.stage})` : "";
             }
-            return client;
         }
 
-        async function uploadCardImage(file) {
-            const supa = getClient();
+        // Timeline markup for the image modal
+        async function timelineHTML(itemId) {
+            const list = await eventsFor(itemId);
+            if (!list.length)
+                return `<div class="meta">No history recorded for this item.</div>`;
+            const first = list.find((e) => e.type === "purchased") || list[0];
+            const end = list.find((e) => e.type === "sold");
+            const held = days((end ? end.at : Date.now()) - first.at);
+            return `
+          <div class="meta" style="margin-bottom:6px;">
+            ${end ? "Held" : "Holding for"} ${held} day(s)
+          </div>
+          <ol style="margin:0;padding-left:18px;text-align:left;">
+            ${list
+                    .map(
+                        (e) => `<li><strong>${LABELS[e.type]}</strong> ${Util.esc(
+                            describe(e)
+                        )} <span class="meta">• ${Util.fmtDate(e.at)}</span></li>`
+                    )
+                    .join("")}
+          </ol>`;
+        }
 
-            // Fallback to local storage if Supabase not loaded
-            if (!supa) return await Img.compress(file, 1000, 0.7);
+        return { log, eventsFor, timelineHTML, STAGES };
+    })();
 
-            // 1) Compress image
-            const dataUrl = await Img.compress(file, 1200, 0.8);
-            const blob = await (await fetch(dataUrl)).blob();
+    /* =========================================
+       PAYMENTS (installments per buyer)
+       Payments belong to a buyer and may name the items they were for. Item
+       balances and status ("Paid" / "Partial" / "Pending") are derived from them.
+    ========================================= */
+    const Payments = (() => {
+        const cents = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+        // Earmarked amounts go to their items first; everything else is applied
+        // oldest sale first. Whatever is left over is the buyer's credit.
+        function allocate(items, payments) {
+            const sorted = [...items].sort((a, b) => a.soldAt - b.soldAt);
+            const paid = {};
+            sorted.forEach((it) => (paid[it.id] = 0));
+            const open = (it) => Math.max(0, cents(Number(it.price || 0) - paid[it.id]));
+            const take = (it, amount) => {
+                const n = Math.min(amount, open(it));
+                paid[it.id] = cents(paid[it.id] + n);
+                return n;
+            };
+
+            let pool = 0;
+            [...payments]
+                .sort((a, b) => a.paidAt - b.paidAt)
+                .forEach((p) => {
+                    let left = Number(p.amount || 0);
+                    const ids = new Set(p.itemIds || []);
+                    sorted.forEach((it) => {
+                        if (ids.has(it.id) && left > 0) left -= take(it, left);
+                    });
+                    pool += left;
+                });
+            sorted.forEach((it) => {
+                if (pool > 0) pool -= take(it, pool);
+            });
+
+            const byItem = {};
+            sorted.forEach((it) => {
+                const balance = open(it);
+                byItem[it.id] = {
+                    paid: paid[it.id],
+                    balance,
+                    status: balance <= 0 ? "Paid" : paid[it.id] > 0 ? "Partial" : "Pending",
+                };
+            });
+            return { byItem, credit: cents(pool) };
+        }
+
+        // Allocation across every buyer: { byItem, credit: { buyer: amount } }
+        function allocateAll(sold, payments) {
+            const items = {};
+            const pays = {};
+            sold.forEach((it) => (items[it.buyer || "Unknown"] ||= []).push(it));
+            payments.forEach((p) => (pays[p.buyer || "Unknown"] ||= []).push(p));
+            const byItem = {};
+            const credit = {};
+            new Set([...Object.keys(items), ...Object.keys(pays)]).forEach((buyer) => {
+                const r = allocate(items[buyer] || [], pays[buyer] || []);
+                Object.assign(byItem, r.byItem);
+                if (r.credit > 0) credit[buyer] = r.credit;
+            });
+            return { byItem, credit };
+        }
+
+        async function forBuyer(buyer) {
+            return (await Storage.load(KEYS.PAYMENTS)).filter((p) => p.buyer === buyer);
+        }
+
+        // Sold items of a buyer; items saved without a buyer group as "Unknown"
+        async function soldOf(buyer) {
+            if (buyer !== "Unknown") return Storage.query(KEYS.SOLD, "buyer", buyer);
+            return (await Storage.load(KEYS.SOLD)).filter((it) => (it.buyer || "Unknown") === buyer);
+        }
+
+        // Buyer totals: due, paid, outstanding balance and unapplied credit
+        async function summary(buyer) {
+            const items = await soldOf(buyer);
+            const r = allocate(items, await forBuyer(buyer));
+            const due = items.reduce((s, it) => s + Number(it.price || 0), 0);
+            const balance = items.reduce((s, it) => s + r.byItem[it.id].balance, 0);
+            return { items, byItem: r.byItem, due, paid: cents(due - balance), balance, credit: r.credit };
+        }
+
+        // Write the derived status back onto the buyer's Sold records so other
+        // pages (and the status index) agree with the payments
+        async function settle(buyer) {
+            const { items, byItem } = await summary(buyer);
+            await History.untracked(async () => {
+                for (const it of items) {
+                    const next = byItem[it.id].status;
+                    if (it.status === next) continue;
+                    await Storage.put(KEYS.SOLD, { ...it, status: next });
+                    if (next === "Paid")
+                        await Audit.log("paid", it, { amount: Number(it.price || 0) }, KEYS.SOLD);
+                }
+            });
+        }
+
+        async function settleAll() {
+            const buyers = new Set((await Storage.load(KEYS.SOLD)).map((it) => it.buyer || "Unknown"));
+            for (const buyer of buyers) await settle(buyer);
+        }
+
+        // Open items a new payment settles, oldest sale first
+        async function covers(buyer, amount) {
+            const { items, byItem } = await summary(buyer);
+            const ids = [];
+            let left = Number(amount || 0);
+            [...items]
+                .sort((a, b) => a.soldAt - b.soldAt)
+                .forEach((it) => {
+                    if (left <= 0 || byItem[it.id].balance <= 0) return;
+                    ids.push(it.id);
+                    left -= byItem[it.id].balance;
+                });
+            return ids;
+        }
+
+        // Posted = a cash entry carries the payment id. Payments seeded from
+        // before installments (legacy) were added to Cash by the old "Add to
+        // Cash", whose entries can't be tied to a payment, so they count as posted.
+        // Matching others by buyer and sold ids would let one old entry cover
+        // every later payment on the same items.
+        function isPosted(payment, cash) {
+            if (payment.legacy) return true;
+            return cash.some((c) => c.paymentId === payment.id);
+        }
+
+        const unposted = (payments, cash) => payments.filter((p) => !isPosted(p, cash));
+
+        // One income entry per payment into the given cash account
+        async function post(payments, account, note = "") {
+            if (!payments.length) return 0;
+            const cash = await Storage.load(KEYS.CASH);
+            const fresh = unposted(payments, cash);
+            fresh.forEach((p) =>
+                cash.unshift({
+                    id: Util.uid(),
+                    source: account,
+                    amount: cents(p.amount),
+                    note: note || `Paid by ${p.buyer}${p.note ? " • " + p.note : ""}`,
+                    buyer: p.buyer,
+                    paymentId: p.id,
+                    soldIds: p.itemIds || [], // lets reversals find this entry
+                    createdAt: p.paidAt || Date.now(),
+                })
+            );
+            if (fresh.length) await Storage.save(KEYS.CASH, cash);
+            return fresh.length;
+        }
+
+        // Payments received into a cash account ("source") are posted right away
+        async function record(buyer, { amount, source = "", note = "", paidAt = Date.now(), itemIds = [] }) {
+            const payment = {
+                id: Util.uid(),
+                buyer,
+                amount: cents(amount),
+                source,
+                note,
+                itemIds: itemIds.length ? itemIds : await covers(buyer, amount),
+                paidAt,
+                createdAt: Date.now(),
+            };
+            const list = await Storage.load(KEYS.PAYMENTS);
+            list.unshift(payment);
+            await Storage.save(KEYS.PAYMENTS, list);
+            if (source) await post([payment], source);
+            await settle(buyer);
+            return payment;
+        }
+
+        // Also drops the cash entry the payment was posted as
+        async function remove(id) {
+            const list = await Storage.load(KEYS.PAYMENTS);
+            const payment = list.find((p) => p.id === id);
+            if (!payment) return;
+            await Storage.save(KEYS.PAYMENTS, list.filter((p) => p.id !== id));
+            const cash = await Storage.load(KEYS.CASH);
+            if (cash.some((c) => c.paymentId === id))
+                await Storage.save(KEYS.CASH, cash.filter((c) => c.paymentId !== id));
+            await settle(payment.buyer);
+        }
+
+        // Payments and the cash entries posted from them
+        async function renameBuyer(from, to) {
+            const list = await Storage.load(KEYS.PAYMENTS);
+            if (list.some((p) => p.buyer === from))
+                await Storage.save(
+                    KEYS.PAYMENTS,
+                    list.map((p) => (p.buyer === from ? { ...p, buyer: to } : p))
+                );
+            const cash = await Storage.load(KEYS.CASH);
+            if (cash.some((c) => c.buyer === from))
+                await Storage.save(
+                    KEYS.CASH,
+                    cash.map((c) => (c.buyer === from ? { ...c, buyer: to } : c))
+                );
+        }
+
+        return {
+            allocate,
+            allocateAll,
+            forBuyer,
+            soldOf,
+            summary,
+            settle,
+            settleAll,
+            record,
+            remove,
+            renameBuyer,
+            isPosted,
+            unposted,
+            post,
+        };
+    })();
+
+    /* =========================================
+       PAYMENT AGING & REMINDERS
+       Unpaid balances are aged from each item's soldAt. Every follow-up
+       copied is logged, so a buyer isn't nagged twice in one day and the
+       wording escalates with the debt's age and the reminders already sent.
+    ========================================= */
+    const Reminders = (() => {
+        const DAY = 86400000;
+        const BUCKETS = [
+            { label: "0–3 days", max: 3 },
+            { label: "4–7 days", max: 7 },
+            { label: "8–14 days", max: 14 },
+            { label: "15+ days", max: Infinity },
+        ];
+        const OVERDUE_AFTER = 3; // days; older debts go into the reminder queue
+        const LEVELS = ["Gentle", "Follow-up", "Firm", "Final"];
+
+        const ageOf = (it, now) => Math.max(0, Math.floor((now - (it.soldAt || now)) / DAY));
+        const bucketOf = (days) => BUCKETS.findIndex((b) => days <= b.max);
+        const dayKey = (t) => new Date(t).toLocaleDateString("en-CA");
+
+        // One row per buyer who owes something, oldest debt first:
+        // { buyer, balance, count, buckets: [amount per bucket], oldest (days), since }
+        function aging(sold, byItem, now = Date.now()) {
+            const by = {};
+            sold.forEach((it) => {
+                const balance = byItem[it.id]?.balance || 0;
+                if (balance <= 0) return;
+                const buyer = it.buyer || "Unknown";
+                const row = (by[buyer] ||= {
+                    buyer,
+                    balance: 0,
+                    count: 0,
+                    buckets: BUCKETS.map(() => 0),
+                    oldest: -1,
+                    since: null,
+                });
+                const days = ageOf(it, now);
+                row.balance += balance;
+                row.count++;
+                row.buckets[bucketOf(days)] += balance;
+                if (days > row.oldest) {
+                    row.oldest = days;
+                    row.since = it.soldAt;
+                }
+            });
+            return Object.values(by).sort((a, b) => b.oldest - a.oldest || b.balance - a.balance);
+        }
+
+        async function forBuyer(buyer) {
+            const { items, byItem } = await Payments.summary(buyer);
+            return aging(items, byItem)[0] || null;
+        }
+
+        const ofBuyer = (log, buyer) => log.filter((r) => r.buyer === buyer).sort((a, b) => b.at - a.at);
+        const lastFor = (log, buyer) => ofBuyer(log, buyer)[0] || null;
+        function sentToday(log, buyer) {
+            const last = lastFor(log, buyer);
+            return !!last && dayKey(last.at) === dayKey(Date.now());
+        }
+
+        // Reminders sent for the current debt push the tone up a step each
+        function level(row, log) {
+            const sent = ofBuyer(log, row.buyer).filter((r) => r.at >= row.since).length;
+            return Math.min(LEVELS.length - 1, Math.max(bucketOf(row.oldest), sent));
+        }
+
+        function message(row, lvl) {
+            const GREET = Util.greetingWord();
+            const bal = Util.fmtMoney(row.balance);
+            const since = Util.fmtDate(row.since);
+            const cards = `${row.count} card${row.count > 1 ? "s" : ""}`;
+            return [
+                `${GREET} brother, soft reminder lang po sa payment. Balance: ${bal}. Thanks!`,
+                `${GREET} brother! Follow up lang po sa balance mo na ${bal} for ${cards}, ${row.oldest} days na po. Pa-send na lang ng proof pag nakabayad. Thanks!`,
+                `${GREET} brother, reminder po ulit sa unpaid balance na ${bal} (since ${since}). Kindly settle this week para ma-ship na natin. Salamat!`,
+                `${GREET} brother, final reminder po sa balance na ${bal}, ${row.oldest} days na po since ${since}. Kung hindi po ma-settle, ibabalik ko na po sa listing ang ${cards}. Thanks po.`,
+            ][lvl];
+        }
+
+        async function record(row, lvl) {
+            const log = await Storage.load(KEYS.REMINDERS);
+            log.unshift({ id: Util.uid(), buyer: row.buyer, level: lvl, balance: row.balance, at: Date.now() });
+            await Storage.save(KEYS.REMINDERS, log);
+        }
+
+        async function renameBuyer(from, to) {
+            const log = await Storage.load(KEYS.REMINDERS);
+            if (!log.some((r) => r.buyer === from)) return;
+            await Storage.save(
+                KEYS.REMINDERS,
+                log.map((r) => (r.buyer === from ? { ...r, buyer: to } : r))
+            );
+        }
+
+        return {
+            BUCKETS,
+            OVERDUE_AFTER,
+            LEVELS,
+            aging,
+            forBuyer,
+            lastFor,
+            sentToday,
+            level,
+            message,
+            bucketOf,
+            record,
+            renameBuyer,
+        };
+    })();
+
+    /* =========================================
+       PROFIT (cost basis for Sold items)
+       Sold "buy" already includes ship-in; each shipment's fee is spread
+       over the items in that parcel by price. Items with no cost on record (listed
+       directly on For Sale) are left out of profit totals instead of
+       counting as pure profit.
+    ========================================= */
+    const Profit = (() => {
+        const unknownCost = (it) => !(Number(it.buy) > 0);
+
+        // sfByItem: { itemId: share of shipping fees we paid } (Shipments.shares)
+        function compute(sold, sfByItem = {}) {
+            const byItem = {};
+            sold.forEach((it) => {
+                const sf = Number(sfByItem[it.id] || 0);
+                const unknown = unknownCost(it);
+                byItem[it.id] = {
+                    sf,
+                    unknown,
+                    profit: unknown ? null : Number(it.price || 0) - Number(it.buy || 0) - sf,
+                };
+            });
+            return byItem;
+        }
+
+        // Sum over items: { profit, unknown } where unknown counts skipped items
+        function total(items, byItem) {
+            return items.reduce(
+                (acc, it) => {
+                    const p = byItem[it.id];
+                    if (!p || p.unknown) acc.unknown++;
+                    else acc.profit += p.profit;
+                    return acc;
+                },
+                { profit: 0, unknown: 0 }
+            );
+        }
+
+        return { compute, total, unknownCost };
+    })();
+
+    /* =========================================
+       SHIPMENTS (parcels sent to buyers)
+       A repeat buyer gets one record per parcel, each with its own fee,
+       courier, tracking number and the Sold item ids inside it.
+    ========================================= */
+    const Shipments = (() => {
+        const COURIERS = ["J&T", "LBC", "Ninja Van", "Flash", "Lalamove", "Grab", "Meetup"];
+        const STATUSES = ["Preparing", "Shipped", "Delivered", "Returned"];
+
+        const when = (s) => s.shippedAt || s.createdAt || 0;
+
+        // Newest first
+        function ofBuyer(shipments, buyer) {
+            return shipments.filter((s) => s.buyer === buyer).sort((a, b) => when(b) - when(a));
+        }
+
+        async function forBuyer(buyer) {
+            return ofBuyer(await Storage.load(KEYS.SHIPMENTS), buyer);
+        }
+
+        // Sold items in the parcel (items returned to For Sale drop out)
+        function itemsOf(shipment, sold) {
+            const ids = new Set(shipment.itemIds || []);
+            return sold.filter((it) => ids.has(it.id));
+        }
+
+        // { itemId: fee share }; each fee is spread over its parcel by price
+        function shares(sold, shipments) {
+            const out = {};
+            shipments.forEach((s) => {
+                const list = itemsOf(s, sold);
+                const fee = Number(s.fee || 0);
+                const gross = list.reduce((sum, it) => sum + Number(it.price || 0), 0);
+                list.forEach((it) => {
+                    const share = gross > 0 ? (fee * Number(it.price || 0)) / gross : fee / list.length;
+                    out[it.id] = (out[it.id] || 0) + share;
+                });
+            });
+            return out;
+        }
+
+        // The buyer's Sold items that aren't in any of their parcels yet
+        function unshipped(buyer, sold, shipments) {
+            const shipped = new Set(ofBuyer(shipments, buyer).flatMap((s) => s.itemIds || []));
+            return sold.filter((it) => (it.buyer || "Unknown") === buyer && !shipped.has(it.id));
+        }
+
+        // Insert or update by id, keeping its ship-out expense in step;
+        // returns the stored record
+        async function save(shipment, account) {
+            const list = await Storage.load(KEYS.SHIPMENTS);
+            const next = {
+                courier: "",
+                tracking: "",
+                status: "Preparing",
+                itemIds: [],
+                ...shipment,
+                id: shipment.id || Util.uid(),
+                fee: Number(shipment.fee || 0),
+                createdAt: shipment.createdAt || Date.now(),
+            };
+            const i = list.findIndex((s) => s.id === next.id);
+            if (i >= 0) list[i] = next;
+            else list.unshift(next);
+            await Storage.save(KEYS.SHIPMENTS, list);
+            await Expenses.upsert(
+                { shipmentId: next.id },
+                {
+                    category: "ship_out",
+                    amount: next.fee,
+                    note: `Shipping to ${next.buyer}${next.courier ? " • " + next.courier : ""}`,
+                    source: account,
+                    createdAt: next.shippedAt || next.createdAt,
+                }
+            );
+            return next;
+        }
+
+        async function remove(id) {
+            const list = await Storage.load(KEYS.SHIPMENTS);
+            await Storage.save(KEYS.SHIPMENTS, list.filter((s) => s.id !== id));
+            await Expenses.unlink({ shipmentId: id });
+        }
+
+        async function renameBuyer(from, to) {
+            const list = await Storage.load(KEYS.SHIPMENTS);
+            if (!list.some((s) => s.buyer === from)) return;
+            await Storage.save(
+                KEYS.SHIPMENTS,
+                list.map((s) => (s.buyer === from ? { ...s, buyer: to } : s))
+            );
+        }
+
+        return { COURIERS, STATUSES, ofBuyer, forBuyer, itemsOf, shares, unshipped, save, remove, renameBuyer };
+    })();
+
+    /* =========================================
+       SELLER SCORECARDS
+       Follows every card a seller sold us through Inventory, For Sale and
+       Sold. Items keep their id and seller across stages, so one pass over
+       the three collections is enough.
+    ========================================= */
+    const Sellers = (() => {
+        const DAY = 86400000;
+        const DEAD_DAYS = 60; // unsold this long counts as dead stock
+        const NONE = "(No seller)";
+
+        const boughtAt = (it) => it.boughtAt || it.createdAt;
+        // Inventory keeps ship-in apart; For Sale and Sold fold it into buy
+        const costOf = (it, stage) =>
+            Number(it.buy || 0) + (stage === "bought" ? Number(it.ship || 0) : 0);
+
+        function blank(name) {
+            return {
+                name,
+                bought: 0,
+                sold: 0,
+                unsold: 0,
+                dead: 0,
+                heldCost: 0,
+                revenue: 0,
+                knownRevenue: 0,
+                cost: 0,
+                profit: 0,
+                unknown: 0,
+                daysTotal: 0,
+                daysCount: 0,
+            };
+        }
+
+        // { seller: scorecard } with the derived rates filled in; rates are
+        // null when there is nothing to divide by
+        function score({ bought = [], forsale = [], sold = [], shipments = [] }, now = Date.now()) {
+            const by = {};
+            const row = (it) => (by[it.seller || NONE] ||= blank(it.seller || NONE));
+            const profitOf = Profit.compute(sold, Shipments.shares(sold, shipments));
+
+            [
+                ...bought.map((it) => [it, "bought"]),
+                ...forsale.map((it) => [it, "forsale"]),
+            ].forEach(([it, stage]) => {
+                const r = row(it);
+                r.bought++;
+                r.unsold++;
+                r.heldCost += costOf(it, stage);
+                if (boughtAt(it) && now - boughtAt(it) > DEAD_DAYS * DAY) r.dead++;
+            });
+            sold.forEach((it) => {
+                const r = row(it);
+                const p = profitOf[it.id];
+                r.bought++;
+                r.sold++;
+                r.revenue += Number(it.price || 0);
+                if (p.unknown) r.unknown++;
+                else {
+                    r.knownRevenue += Number(it.price || 0);
+                    r.cost += Number(it.buy || 0) + p.sf;
+                    r.profit += p.profit;
+                }
+                if (boughtAt(it) && it.soldAt) {
+                    r.daysTotal += (it.soldAt - boughtAt(it)) / DAY;
+                    r.daysCount++;
+                }
+            });
+
+            Object.values(by).forEach((r) => {
+                r.sellThrough = r.bought ? r.sold / r.bought : null;
+                r.margin = r.knownRevenue ? r.profit / r.knownRevenue : null;
+                r.roi = r.cost ? r.profit / r.cost : null;
+                r.avgDays = r.daysCount ? r.daysTotal / r.daysCount : null;
+            });
+            return by;
+        }
+
+        async function load() {
+            return score({
+                bought: await Storage.load(KEYS.BOUGHT),
+                forsale: await Storage.load(KEYS.FORSALE),
+                sold: await Storage.load(KEYS.SOLD),
+                shipments: await Storage.load(KEYS.SHIPMENTS),
+            });
+        }
+
+        const pct = (x) => (x == null ? "—" : Math.round(x * 100) + "%");
+
+        return { DEAD_DAYS, NONE, score, load, pct };
+    })();
+
+    /* =========================================
+       CASH ACCOUNTS
+       Entries name their account in "source"; a transfer is one entry with
+       "to" set, moving "amount" from source to to.
+    ========================================= */
+    const Accounts = (() => {
+        // The original three keep their badge colours
+        const BADGES = { GCash: "badge-gcash", SeaBank: "badge-sea", Cash: "badge-cash" };
+        const badge = (name) => BADGES[name] || "badge-other";
+
+        async function load() {
+            return Storage.load(KEYS.ACCOUNTS);
+        }
+
+        async function names() {
+            return (await load()).map((a) => a.name);
+        }
+
+        // <option>s for a source/account select
+        async function options(selected = "") {
+            return (await names())
+                .map((n) => `<option value="${Util.esc(n)}"${n === selected ? " selected" : ""}>${Util.esc(n)}</option>`)
+                .join("");
+        }
+
+        // [[account, delta], …] for one entry
+        function effects(entry) {
+            const amt = Number(entry.amount || 0);
+            return entry.to ? [[entry.source, -Math.abs(amt)], [entry.to, Math.abs(amt)]] : [[entry.source, amt]];
+        }
+
+        // Balances after every entry, oldest first from each opening balance:
+        // { totals: { account: balance }, after: { entryId: { account: balance } } }
+        function running(entries, accounts) {
+            const totals = {};
+            accounts.forEach((a) => (totals[a.name] = Number(a.opening || 0)));
+            const after = {};
+            [...entries]
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .forEach((e) => {
+                    after[e.id] = {};
+                    effects(e).forEach(([name, delta]) => {
+                        totals[name] = (totals[name] || 0) + delta;
+                        after[e.id][name] = totals[name];
+                    });
+                });
+            return { totals, after };
+        }
+
+        async function add(name, opening = 0) {
+            const list = await load();
+            if (list.some((a) => a.name === name)) return false;
+            list.push({ id: Util.uid(), name, opening: Number(opening || 0), createdAt: Date.now() });
+            await Storage.save(KEYS.ACCOUNTS, list);
+            return true;
+        }
+
+        async function update(id, patch) {
+            const list = await load();
+            const acct = list.find((a) => a.id === id);
+            if (!acct) return;
+            const from = acct.name;
+            Object.assign(acct, patch);
+            await Storage.save(KEYS.ACCOUNTS, list);
+            if (patch.name && patch.name !== from) {
+                const cash = await Storage.load(KEYS.CASH);
+                cash.forEach((c) => {
+                    if (c.source === from) c.source = patch.name;
+                    if (c.to === from) c.to = patch.name;
+                });
+                await Storage.save(KEYS.CASH, cash);
+                const payments = await Storage.load(KEYS.PAYMENTS);
+                if (payments.some((p) => p.source === from))
+                    await Storage.save(
+                        KEYS.PAYMENTS,
+                        payments.map((p) => (p.source === from ? { ...p, source: patch.name } : p))
+                    );
+                if (Storage.localGet(KEYS.EXPENSE_LAST) === from) Storage.localSet(KEYS.EXPENSE_LAST, patch.name);
+            }
+        }
+
+        // Only unused accounts can go; entries and payments must keep their account
+        async function remove(id) {
+            const list = await load();
+            const acct = list.find((a) => a.id === id);
+            if (!acct) return true;
+            const used =
+                (await Storage.load(KEYS.CASH)).some((c) => c.source === acct.name || c.to === acct.name) ||
+                (await Storage.load(KEYS.PAYMENTS)).some((p) => p.source === acct.name);
+            if (used) return false;
+            await Storage.save(KEYS.ACCOUNTS, list.filter((a) => a.id !== id));
+            return true;
+        }
+
+        return { badge, load, names, options, effects, running, add, update, remove };
+    })();
+
+    /* =========================================
+       EXPENSES (categorized cash deductions)
+       Purchases and shipping fees post their own entries, linked back by
+       itemId / lotId / shipmentId so later edits update the same entry.
+    ========================================= */
+    const Expenses = (() => {
+        const CATEGORIES = {
+            purchase: "Card purchases",
+            ship_in: "Ship-in",
+            ship_out: "Ship-out",
+            supplies: "Supplies",
+            fees: "Platform/transfer fees",
+            grading: "Grading",
+            other: "Other",
+        };
+        // Stock costs reach the P&L as COGS when the card sells, not as expenses
+        const STOCK = new Set(["purchase", "ship_in"]);
+
+        const label = (cat) => CATEGORIES[cat] || "Uncategorized";
+
+        function options(selected = "") {
+            return Object.keys(CATEGORIES)
+                .map((c) => `<option value="${c}"${c === selected ? " selected" : ""}>${CATEGORIES[c]}</option>`)
+                .join("");
+        }
+
+        // Account purchases are paid from: the last one used, else the first
+        async function defaultAccount() {
+            const names = await Accounts.names();
+            const last = Storage.localGet(KEYS.EXPENSE_LAST);
+            return names.includes(last) ? last : names[0] || "Cash";
+        }
+
+        // Add or update the entry linked by `link` (e.g. { shipmentId }); an
+        // amount of 0 removes it
+        async function upsert(link, { category, amount, note, source, createdAt = Date.now() }) {
+            const [field, value] = Object.entries(link)[0];
+            const cash = await Storage.load(KEYS.CASH);
+            const i = cash.findIndex((c) => c[field] === value && c.category === category);
+            const n = Math.abs(Number(amount || 0));
+            if (!n) {
+                if (i < 0) return;
+                cash.splice(i, 1);
+            } else if (i >= 0) {
+                cash[i] = { ...cash[i], amount: -n, note, source: source || cash[i].source };
+            } else {
+                cash.unshift({
+                    id: Util.uid(),
+                    source: source || (await defaultAccount()),
+                    amount: -n,
+                    note,
+                    category,
+                    [field]: value,
+                    createdAt,
+                });
+            }
+            await Storage.save(KEYS.CASH, cash);
+            if (source) Storage.localSet(KEYS.EXPENSE_LAST, source);
+        }
+
+        async function unlink(link) {
+            const [field, value] = Object.entries(link)[0];
+            const cash = await Storage.load(KEYS.CASH);
+            if (!cash.some((c) => c[field] === value)) return;
+            await Storage.save(KEYS.CASH, cash.filter((c) => c[field] !== value));
+        }
+
+        // Card cost and ship-in of a new inventory item or lot
+        async function purchase(link, { buy, ship, source, note }) {
+            await upsert(link, { category: "purchase", amount: buy, note, source });
+            await upsert(link, { category: "ship_in", amount: ship, note: `${note} • ship-in`, source });
+        }
+
+        // New cost for a purchase already posted: amounts change, account,
+        // note and date stay. Items bought before posting existed have no
+        // entries and get none.
+        async function restate(link, { buy, ship }) {
+            const [field, value] = Object.entries(link)[0];
+            const cash = await Storage.load(KEYS.CASH);
+            const posted = cash.filter((c) => c[field] === value && STOCK.has(c.category));
+            if (!posted.length) return;
+            const base = posted.find((c) => c.category === "purchase") || posted[0];
+            const note = String(base.note || "").replace(/ • ship-in$/, "");
+            const amounts = { purchase: Math.abs(Number(buy || 0)), ship_in: Math.abs(Number(ship || 0)) };
+            const out = cash
+                .map((c) => (posted.includes(c) ? (amounts[c.category] ? { ...c, amount: -amounts[c.category] } : null) : c))
+                .filter(Boolean);
+            Object.keys(amounts).forEach((category) => {
+                if (!amounts[category] || posted.some((c) => c.category === category)) return;
+                out.unshift({
+                    id: Util.uid(),
+                    source: base.source,
+                    amount: -amounts[category],
+                    note: category === "ship_in" ? `${note} • ship-in` : note,
+                    category,
+                    [field]: value,
+                    createdAt: base.createdAt,
+                });
+            });
+            await Storage.save(KEYS.CASH, out);
+        }
+
+        // Whether a purchase deduction was posted for the link
+        async function hasPurchase(link) {
+            const [field, value] = Object.entries(link)[0];
+            return (await Storage.load(KEYS.CASH)).some((c) => c[field] === value && STOCK.has(c.category));
+        }
+
+        // By month ("yyyy-mm"): revenue and COGS of cards sold that month, and
+        // categorized expenses. Uncategorized deductions are shown, not subtracted.
+        function monthly(sold, cash) {
+            const months = {};
+            const month = (t) => new Date(t).toLocaleDateString("en-CA").slice(0, 7);
+            const at = (t) =>
+                (months[month(t)] ||= { revenue: 0, cogs: 0, unknownCost: 0, expenses: {}, uncategorized: 0 });
+            sold.forEach((it) => {
+                const m = at(it.soldAt);
+                m.revenue += Number(it.price || 0);
+                m.cogs += Number(it.buy || 0);
+                if (Profit.unknownCost(it)) m.unknownCost++;
+            });
+            cash.forEach((c) => {
+                const amt = Number(c.amount || 0);
+                if (c.to || c.refundOf || amt >= 0 || STOCK.has(c.category)) return;
+                const m = at(c.createdAt);
+                if (CATEGORIES[c.category]) m.expenses[c.category] = (m.expenses[c.category] || 0) - amt;
+                else m.uncategorized -= amt;
+            });
+            Object.values(months).forEach((m) => {
+                m.expenseTotal = Object.values(m.expenses).reduce((s, v) => s + v, 0);
+                m.net = m.revenue - m.cogs - m.expenseTotal;
+            });
+            return months;
+        }
+
+        return {
+            CATEGORIES,
+            label,
+            options,
+            defaultAccount,
+            upsert,
+            unlink,
+            purchase,
+            restate,
+            hasPurchase,
+            monthly,
+        };
+    })();
+
+    /* =========================================
+       FOREIGN CURRENCY (purchases abroad)
+       Items bought in another currency keep fx: { currency, rate, buy, ship }
+       with the original amounts and the rate used; buy/ship stay in pesos.
+       Changing a rate later never reprices what was already bought.
+    ========================================= */
+    const FX = (() => {
+        const HOME = "PHP";
+        const formatters = {};
+
+        function fmt(n, code = HOME) {
+            if (code === HOME) return Util.fmtMoney(n);
+            try {
+                formatters[code] ||= new Intl.NumberFormat("en-PH", { style: "currency", currency: code });
+                return formatters[code].format(Number(n || 0));
+            } catch {
+                return `${code} ${Number(n || 0).toFixed(2)}`;
+            }
+        }
+
+        const toHome = (amount, rate) => Math.round(Number(amount || 0) * Number(rate || 0) * 100) / 100;
+
+        async function rates() {
+            return (await Storage.load(KEYS.FX_RATES)).sort((a, b) => a.code.localeCompare(b.code));
+        }
+
+        async function rateOf(code) {
+            if (code === HOME) return 1;
+            return (await rates()).find((r) => r.code === code)?.rate || 0;
+        }
+
+        async function setRate(code, rate) {
+            const list = (await rates()).filter((r) => r.code !== code);
+            list.push({ code, rate: Number(rate), updatedAt: Date.now() });
+            await Storage.save(KEYS.FX_RATES, list);
+        }
+
+        async function removeRate(code) {
+            await Storage.save(KEYS.FX_RATES, (await rates()).filter((r) => r.code !== code));
+        }
+
+        // <option>s: pesos first, then each currency with its current rate
+        async function options(selected = HOME) {
+            return [
+                `<option value="${HOME}">${HOME}</option>`,
+                ...(await rates()).map(
+                    (r) =>
+                        `<option value="${r.code}"${r.code === selected ? " selected" : ""}>${r.code} @ ${Util.fmtMoney(r.rate)}</option>`
+                ),
+            ].join("");
+        }
+
+        // Original-currency line for cards ("" for peso purchases)
+        function line(item) {
+            const fx = item.fx;
+            if (!fx || !fx.currency || fx.currency === HOME) return "";
+            return `<div class="meta fx-line" title="Rate used: ${Util.fmtMoney(fx.rate)} per ${fx.currency}">Paid ${fmt(
+                fx.buy,
+                fx.currency
+            )}${fx.ship ? ` + ${fmt(fx.ship, fx.currency)} ship-in` : ""} @ ${Util.fmtMoney(fx.rate)}</div>`;
+        }
+
+        async function showRatesModal() {
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "480px";
+            card.innerHTML = `
+        <h3>Exchange rates</h3>
+        <div class="modal-row"><div class="meta">Pesos per 1 unit. New purchases use the rate at the time they are added.</div></div>
+        <div class="modal-row">
+          <div id="fxList" style="display:flex;flex-direction:column;gap:8px;max-height:280px;overflow:auto;"></div>
+        </div>
+        <div class="modal-row"><label>Currency</label>
+          <input id="fxCode" type="text" maxlength="3" placeholder="JPY, USD…" style="text-transform:uppercase" />
+        </div>
+        <div class="modal-row"><label>₱ per unit</label>
+          <input id="fxRate" type="number" step="0.0001" min="0" inputmode="decimal" />
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="closeFx">Close</button>
+          <button class="btn primary" id="saveFx">Save Rate</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#closeFx").onclick = close;
+
+            const list = card.querySelector("#fxList");
+            async function fill() {
+                const all = await rates();
+                list.innerHTML = all.length
+                    ? all
+                        .map(
+                            (r) => `
+              <div style="display:flex;align-items:center;gap:8px;justify-content:space-between">
+                <div style="flex:1 1 auto">
+                  <strong>${r.code}</strong> = ${Util.fmtMoney(r.rate)}
+                  <div class="meta">Updated ${Util.fmtDate(r.updatedAt)}</div>
+                </div>
+                <div>
+                  <button class="small-btn" data-act="edit" data-code="${r.code}">Edit</button>
+                  <button class="small-btn" data-act="delete" data-code="${r.code}">Delete</button>
+                </div>
+              </div>`
+                        )
+                        .join("")
+                    : `<div class="meta">No currencies yet.</div>`;
+            }
+            await fill();
+
+            list.onclick = async (e) => {
+                const btn = e.target.closest("button[data-act]");
+                if (!btn) return;
+                const code = btn.dataset.code;
+                if (btn.dataset.act === "edit") {
+                    card.querySelector("#fxCode").value = code;
+                    card.querySelector("#fxRate").value = String(await rateOf(code));
+                    card.querySelector("#fxRate").focus();
+                }
+                if (btn.dataset.act === "delete") {
+                    if (!confirm(`Delete the ${code} rate? Items already bought keep their rate.`)) return;
+                    await removeRate(code);
+                    await fill();
+                }
+            };
+
+            card.querySelector("#saveFx").onclick = async () => {
+                const code = (card.querySelector("#fxCode").value || "").trim().toUpperCase();
+                const rate = parseFloat(card.querySelector("#fxRate").value);
+                if (!/^[A-Z]{3}$/.test(code) || code === HOME) {
+                    alert("Please enter a 3-letter currency code other than PHP.");
+                    return;
+                }
+                if (isNaN(rate) || rate <= 0) {
+                    alert("Please enter a valid rate.");
+                    return;
+                }
+                await setRate(code, rate);
+                card.querySelector("#fxCode").value = "";
+                card.querySelector("#fxRate").value = "";
+                await fill();
+            };
+        }
+
+        function installButton() {
+            const headerBrand = document.querySelector(".topbar .branding");
+            if (!headerBrand || document.getElementById("btnFxRates")) return;
+            const b = document.createElement("button");
+            b.id = "btnFxRates";
+            b.type = "button";
+            b.textContent = "💱 Rates";
+            b.className = "btn secondary";
+            b.style.marginLeft = "8px";
+            b.onclick = () => showRatesModal();
+            headerBrand.appendChild(b);
+        }
+
+        return { HOME, fmt, toHome, rates, rateOf, options, line, installButton };
+    })();
+
+    /* =========================================
+       IMAGE HELPERS (compression)
+    ========================================= */
+    /* =========================================
+       IMAGE HELPERS (compression)
+    ========================================= */
+
+    const Img = {
+        fileToDataURL(file) {
+            return new Promise((res, rej) => {
+                const r = new FileReader();
+                r.onload = () => res(r.result);
+                r.onerror = rej;
+                r.readAsDataURL(file);
+            });
+        },
+
+        async compress(file, maxDim = 1000, quality = 0.7) {
+            try {
+                const bmp = await createImageBitmap(file);
+                const scale = Math.min(maxDim / Math.max(bmp.width, bmp.height), 1);
+                const nw = Math.round(bmp.width * scale);
+                const nh = Math.round(bmp.height * scale);
+
+                let canvas, ctx;
+                if ("OffscreenCanvas" in window) {
+                    canvas = new OffscreenCanvas(nw, nh);
+                    ctx = canvas.getContext("2d", { alpha: false });
+                    ctx.drawImage(bmp, 0, 0, nw, nh);
+
+                    let blob =
+                        (await canvas.convertToBlob({
+                            type: "image/webp",
+                            quality,
+                        }).catch(() => null)) ||
+                        (await canvas.convertToBlob({
+                            type: "image/jpeg",
+                            quality,
+                        }).catch(() => null));
+
+                    if (!blob) throw new Error("Blob conversion failed");
+                    return await Img.blobToDataURL(blob);
+
+                } else {
+                    const c = document.createElement("canvas");
+                    c.width = nw;
+                    c.height = nh;
+                    const c2d = c.getContext("2d", { alpha: false });
+                    c2d.drawImage(bmp, 0, 0, nw, nh);
+
+                    let out =
+                        c.toDataURL("image/webp", quality) ||
+                        c.toDataURL("image/jpeg", quality);
+
+                    return out;
+                }
+
+            } catch {
+                // fallback: load normally then resize
+                const dataUrl = await Img.fileToDataURL(file);
+
+                const img = await new Promise((res, rej) => {
+                    const i = new Image();
+                    i.onload = () => res(i);
+                    i.onerror = rej;
+                    i.src = dataUrl;
+                });
+
+                const scale = Math.min(maxDim / Math.max(img.naturalWidth, img.naturalHeight), 1);
+                const nw = Math.round(img.naturalWidth * scale);
+                const nh = Math.round(img.naturalHeight * scale);
+
+                const c = document.createElement("canvas");
+                c.width = nw;
+                c.height = nh;
+                c.getContext("2d", { alpha: false }).drawImage(img, 0, 0, nw, nh);
+
+                let out =
+                    c.toDataURL("image/webp", quality) ||
+                    c.toDataURL("image/jpeg", quality);
+
+                if (!out || !out.startsWith("data:image/")) out = dataUrl;
+                return out;
+            }
+        },
+
+        blobToDataURL(blob) {
+            return new Promise((resolve, reject) => {
+                const r = new FileReader();
+                r.onload = () => resolve(r.result);
+                r.onerror = reject;
+                r.readAsDataURL(blob);
+            });
+        },
+    };
+
+    /* =========================================
+       IMAGE BLOB STORE (content-addressed, IndexedDB)
+       Items reference local images as "twx-img:<sha256>"; identical uploads
+       share one blob, and blobs no item references are garbage-collected.
+    ========================================= */
+    const Images = (() => {
+        const PREFIX = "twx-img:";
+        const REF_RE = /twx-img:([0-9a-f]{64})/g;
+        const ITEM_KEYS = [KEYS.BOUGHT, KEYS.FORSALE, KEYS.SOLD];
+        const urls = new Map(); // hash → object URL
+        // Other tabs' undo history can still point at a blob this tab sees
+        // as unused, so a blob is only deleted after staying unused this long
+        const GC_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+        let gcTimer = null;
+
+        const isRef = (s) => typeof s === "string" && s.startsWith(PREFIX);
+        const isDataURL = (s) => typeof s === "string" && s.startsWith("data:");
+        const hashOf = (ref) => ref.slice(PREFIX.length);
+
+        async function sha256(blob) {
+            const buf = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+            return Array.from(new Uint8Array(buf))
+                .map((b) => b.toString(16).padStart(2, "0"))
+                .join("");
+        }
+
+        async function storeBlob(blob) {
+            const hash = await sha256(blob);
+            if (!(await Storage.blobGet(hash))) {
+                await Storage.blobPut({
+                    hash,
+                    blob,
+                    type: blob.type,
+                    size: blob.size,
+                    createdAt: Date.now(),
+                });
+            }
+            return PREFIX + hash;
+        }
+
+        async function storeDataURL(dataUrl) {
+            return storeBlob(await (await fetch(dataUrl)).blob());
+        }
+
+        // Local fallback for uploads: compress, then keep as a blob reference
+        async function fromFile(file) {
+            return storeDataURL(await Img.compress(file, 1000, 0.7));
+        }
+
+        // Load object URLs for every referenced image so src() can stay sync
+        async function resolve(items) {
+            for (const it of items) {
+                if (!isRef(it?.image)) continue;
+                const hash = hashOf(it.image);
+                if (urls.has(hash)) continue;
+                const rec = await Storage.blobGet(hash);
+                urls.set(hash, rec ? URL.createObjectURL(rec.blob) : "");
+            }
+        }
+
+        function src(image) {
+            if (!isRef(image)) return image || "";
+            return urls.get(hashOf(image)) || "";
+        }
+
+        // Convert inline dataURLs in a list of items to references (migration)
+        async function internalize(items) {
+            for (const it of items) {
+                if (isDataURL(it?.image)) it.image = await storeDataURL(it.image);
+            }
+            return items;
+        }
+
+        // hash → number of items (and undo history entries) that use it
+        async function refCounts() {
+            const counts = new Map();
+            const add = (text) => {
+                for (const m of String(text).matchAll(REF_RE))
+                    counts.set(m[1], (counts.get(m[1]) || 0) + 1);
+            };
+            for (const key of ITEM_KEYS) {
+                (await Storage.load(key)).forEach((it) => isRef(it.image) && add(it.image));
+            }
+            try {
+                add(sessionStorage.getItem(KEYS.HISTORY) || "");
+            } catch { }
+            return counts;
+        }
+
+        async function gc() {
+            const counts = await refCounts();
+            const now = Date.now();
+            const unused = [];
+            for (const h of await Storage.blobHashes()) {
+                const used = !!counts.get(h);
+                const rec = await Storage.blobGet(h);
+                if (used) {
+                    // referenced again (e.g. after an undo): restart the clock
+                    if (rec?.orphanedAt) {
+                        delete rec.orphanedAt;
+                        await Storage.blobPut(rec);
+                    }
+                } else if (!rec?.orphanedAt) {
+                    if (rec) await Storage.blobPut({ ...rec, orphanedAt: now });
+                } else if (now - rec.orphanedAt > GC_GRACE_MS) unused.push(h);
+            }
+            unused.forEach((h) => {
+                if (urls.get(h)) URL.revokeObjectURL(urls.get(h));
+                urls.delete(h);
+            });
+            await Storage.blobDelete(unused);
+            if (unused.length) console.log(`[Twicks Images] removed ${unused.length} unused image(s)`);
+            return unused.length;
+        }
+
+        function scheduleGc() {
+            clearTimeout(gcTimer);
+            gcTimer = setTimeout(() => gc().catch((e) => console.warn("[Twicks Images] gc failed:", e)), 3000);
+        }
+
+        // Backups carry each referenced image once: { hash: dataURL }
+        async function exportFor(...collections) {
+            const out = {};
+            for (const m of JSON.stringify(collections).matchAll(REF_RE)) {
+                if (out[m[1]]) continue;
+                const rec = await Storage.blobGet(m[1]);
+                if (rec) out[m[1]] = await Img.blobToDataURL(rec.blob);
+            }
+            return out;
+        }
+
+        async function importAll(map) {
+            if (!map || typeof map !== "object") return;
+            for (const hash of Object.keys(map)) {
+                if (!(await Storage.blobGet(hash))) await storeDataURL(map[hash]);
+            }
+        }
+
+        function start() {
+            // Any write that drops an image reference may leave a blob unused
+            Storage.onWrite(({ key, changes }) => {
+                if (!ITEM_KEYS.includes(key)) return;
+                if (changes.some((c) => isRef(c.before?.image) && c.before.image !== c.after?.image))
+                    scheduleGc();
+            });
+            scheduleGc();
+        }
+
+        return {
+            isRef,
+            hashOf,
+            fromFile,
+            storeBlob,
+            storeDataURL,
+            resolve,
+            src,
+            internalize,
+            refCounts,
+            gc,
+            exportFor,
+            importAll,
+            start,
+        };
+    })();
+
+    /* =========================================
+       SUPABASE STORAGE (images in bucket "cards")
+    ========================================= */
+
+    const SUPABASE_URL = "https://zqbkuwrwgvfhkajsebfo.supabase.co";
+    const SUPABASE_ANON_KEY = "YeyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...";
+    const SUPABASE_BUCKET = "cards";
+
+    const SupaStore = (() => {
+        let client = null;
+
+        function getClient() {
+            if (!window.supabase) {
+                console.warn("[Twicks] supabase-js not loaded; using local dataURL fallback.");
+                return null;
+            }
+            if (!client) {
+                const { createClient } = window.supabase;
+                client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+            }
+            return client;
+        }
+
+        async function uploadCardImage(file) {
+            const supa = getClient();
+
+            // Fallback to the local image store if Supabase not loaded
+            if (!supa) return await Images.fromFile(file);
+
+            // 1) Compress image
+            const dataUrl = await Img.compress(file, 1200, 0.8);
+            const blob = await (await fetch(dataUrl)).blob();
 
             const ext = blob.type === "image/webp" ? "webp" : "jpg";
             const path = `cards/${Date.now()}_${Math.random().toString(36).slice(2)}.${ext}`;
@@ -339,11 +2330,11 @@ const TWX = (() => {
 
             if (error) {
                 console.warn("[Twicks] Supabase upload failed; using local fallback", error);
-                return dataUrl;
+                return await Images.storeBlob(blob);
             }
 
             const { data } = supa.storage.from(SUPABASE_BUCKET).getPublicUrl(path);
-            return data?.publicUrl || dataUrl;
+            return data?.publicUrl || (await Images.storeBlob(blob));
         }
 
         return { uploadCardImage };
@@ -524,9 +2515,20 @@ const TWX = (() => {
                 sellers: await Storage.load(KEYS.SELLERS),
                 shipping: await Storage.load(KEYS.SHIP_OUT_MAP),
                 buyers: await Storage.load(KEYS.BUYERS),
+                payments: await Storage.load(KEYS.PAYMENTS),
+                lots: await Storage.load(KEYS.LOTS),
+                markdownRules: await Storage.load(KEYS.MARKDOWN_RULES),
+                shipments: await Storage.load(KEYS.SHIPMENTS),
+                accounts: await Storage.load(KEYS.ACCOUNTS),
+                fxRates: await Storage.load(KEYS.FX_RATES),
+                buyerProfiles: await Storage.load(KEYS.BUYER_PROFILES),
+                reminders: await Storage.load(KEYS.REMINDERS),
+                events: await Storage.load(KEYS.EVENTS),
                 exportedAt: new Date().toISOString(),
                 version: 3,
+                schema: Migrate.versions(),
             };
+            payload.images = await Images.exportFor(payload.bought, payload.forsale, payload.sold);
             const name = `twicks_backup_${new Date()
                 .toISOString()
                 .replace(/[:.]/g, "-")}.json`;
@@ -563,9 +2565,11 @@ const TWX = (() => {
                 })();
             if (!chosen) return;
 
-            const data = await downloadJson(chosen.id);
+            const data = await Migrate.upgradePayload(await downloadJson(chosen.id));
             if (!confirm("Import this Drive backup and overwrite local data?")) return;
 
+            await Images.importAll(data.images);
+
             if (data.bought) await Storage.save(KEYS.BOUGHT, data.bought);
             if (data.forsale) await Storage.save(KEYS.FORSALE, data.forsale);
             if (data.sold) await Storage.save(KEYS.SOLD, data.sold);
@@ -573,6 +2577,16 @@ const TWX = (() => {
             if (data.sellers) await Storage.save(KEYS.SELLERS, data.sellers);
             if (data.shipping) await Storage.save(KEYS.SHIP_OUT_MAP, data.shipping);
             if (data.buyers) await Storage.save(KEYS.BUYERS, data.buyers);
+            if (data.payments) await Storage.save(KEYS.PAYMENTS, data.payments);
+            if (data.lots) await Storage.save(KEYS.LOTS, data.lots);
+            if (data.markdownRules) await Storage.save(KEYS.MARKDOWN_RULES, data.markdownRules);
+            if (data.shipments) await Storage.save(KEYS.SHIPMENTS, data.shipments);
+            if (data.accounts) await Storage.save(KEYS.ACCOUNTS, data.accounts);
+            if (data.fxRates) await Storage.save(KEYS.FX_RATES, data.fxRates);
+            if (data.buyerProfiles) await Storage.save(KEYS.BUYER_PROFILES, data.buyerProfiles);
+            if (data.reminders) await Storage.save(KEYS.REMINDERS, data.reminders);
+            if (data.events) await Storage.save(KEYS.EVENTS, data.events);
+            Migrate.markCurrent();
 
             alert("✅ Restore complete. Reloading…");
             location.reload();
@@ -608,7 +2622,7 @@ const TWX = (() => {
         let idleTimer = null;
 
         async function buildPayload() {
-            return {
+            const payload = {
                 bought: await Storage.load(KEYS.BOUGHT),
                 forsale: await Storage.load(KEYS.FORSALE),
                 sold: await Storage.load(KEYS.SOLD),
@@ -616,10 +2630,22 @@ const TWX = (() => {
                 sellers: await Storage.load(KEYS.SELLERS),
                 shipping: await Storage.load(KEYS.SHIP_OUT_MAP),
                 buyers: await Storage.load(KEYS.BUYERS),
+                payments: await Storage.load(KEYS.PAYMENTS),
+                lots: await Storage.load(KEYS.LOTS),
+                markdownRules: await Storage.load(KEYS.MARKDOWN_RULES),
+                shipments: await Storage.load(KEYS.SHIPMENTS),
+                accounts: await Storage.load(KEYS.ACCOUNTS),
+                fxRates: await Storage.load(KEYS.FX_RATES),
+                buyerProfiles: await Storage.load(KEYS.BUYER_PROFILES),
+                reminders: await Storage.load(KEYS.REMINDERS),
+                events: await Storage.load(KEYS.EVENTS),
                 exportedAt: new Date().toISOString(),
                 version: 3,
+                schema: Migrate.versions(),
                 auto: true,
             };
+            payload.images = await Images.exportFor(payload.bought, payload.forsale, payload.sold);
+            return payload;
         }
 
         function sameSnapshot(a, b) {
@@ -761,18 +2787,49 @@ const TWX = (() => {
         const copyBtn = document.getElementById("copyShipMsg");
         const buyerLabel = document.getElementById("shipMsgBuyer");
         const tnInput = document.getElementById("shipTrackingInput");
+        const courierInput = document.getElementById("shipCourierInput");
+        const feeInput = document.getElementById("shipFeeInput");
+        const saveBtn = document.getElementById("saveShipMsg");
+        const SAVE_LABEL = saveBtn?.textContent || "";
 
         // If any of these are missing, we’re not on sold.html → bail out safely
         if (!modal || !closeBtn || !bg || !copyBtn || !buyerLabel || !tnInput) return;
 
+        // Shipment the message is for: the buyer's parcel still being prepared,
+        // a new one for items not shipped yet, or else their latest parcel
+        let target = null;
+
+        const courierList = document.getElementById("shipCourierList");
+        if (courierList)
+            courierList.innerHTML = Shipments.COURIERS.map((c) => `<option value="${c}">`).join("");
+
         // Open modal when clicking any "Shipping Msg" button
-        document.addEventListener("click", (e) => {
+        document.addEventListener("click", async (e) => {
             const btn = e.target.closest(".ship-msg-btn");
             if (!btn) return;
 
             const buyer = btn.dataset.buyer || "";
-            buyerLabel.textContent = "Buyer: " + buyer;
-            tnInput.value = "";
+            const sold = await Payments.soldOf(buyer);
+            const shipments = await Storage.load(KEYS.SHIPMENTS);
+            const parcels = Shipments.ofBuyer(shipments, buyer);
+            const fresh = Shipments.unshipped(buyer, sold, shipments);
+            target =
+                parcels.find((s) => s.status === "Preparing") ||
+                (fresh.length || !parcels.length
+                    ? {
+                        buyer,
+                        itemIds: fresh.map((it) => it.id),
+                        courier: (await BuyerProfile.courierOf(buyer)) || Shipments.COURIERS[0],
+                    }
+                    : parcels[0]);
+
+            const count = Shipments.itemsOf(target, sold).length;
+            buyerLabel.textContent =
+                `Buyer: ${buyer} • ` +
+                (target.id ? `updates parcel of ${count} item(s)` : `new parcel of ${count} item(s)`);
+            tnInput.value = target.tracking || "";
+            if (courierInput) courierInput.value = target.courier || "";
+            if (feeInput) feeInput.value = target.fee ? String(target.fee) : "";
             modal.classList.add("show");
         });
 
@@ -781,7 +2838,31 @@ const TWX = (() => {
         closeBtn.addEventListener("click", hide);
         bg.addEventListener("click", hide);
 
-        // Copy message
+        // Saving is its own step: it marks the parcel Shipped and posts the
+        // fee to Cash, which copying the message alone shouldn't do
+        saveBtn?.addEventListener("click", async () => {
+            if (!target) return;
+            const fee = parseFloat(feeInput?.value || "0");
+            if (isNaN(fee) || fee < 0) {
+                alert("Please enter a valid shipping fee.");
+                return;
+            }
+            const courier = courierInput?.value.trim();
+            target = await Shipments.save({
+                ...target,
+                tracking: tnInput.value.trim(),
+                courier: courier ?? target.courier,
+                fee: feeInput ? fee : target.fee,
+                status: !target.status || target.status === "Preparing" ? "Shipped" : target.status,
+                shippedAt: target.shippedAt || Date.now(),
+            });
+            saveBtn.textContent = "Saved ✓";
+            setTimeout(() => {
+                saveBtn.textContent = SAVE_LABEL;
+            }, 1600);
+            Sold.render();
+        });
+
         copyBtn.addEventListener("click", async () => {
             const tn = tnInput.value.trim();
 
@@ -804,27 +2885,8 @@ const TWX = (() => {
     })();
 
 
-    // Hook into Storage.save so any change to data marks it as dirty
-    (function patchStorageSaveForAutoBackup() {
-        if (!Storage || typeof Storage.save !== "function") return;
-        const originalSave = Storage.save;
-        Storage.save = async function patchedSave(key, val) {
-            await originalSave.call(Storage, key, val);
-            AutoBackup.markDirty();
-        };
-        console.log("[Twicks AutoBackup] Storage.save() hook installed");
-    })();
-
-    // Hook into Storage.save so any change to data marks it as dirty
-    (function patchStorageSaveForAutoBackup() {
-        if (!Storage || typeof Storage.save !== "function") return;
-        const originalSave = Storage.save;
-        Storage.save = async function patchedSave(key, val) {
-            await originalSave.call(Storage, key, val);
-            AutoBackup.markDirty();
-        };
-        console.log("[Twicks AutoBackup] Storage.save() hook installed");
-    })();
+    // Any Storage write (save/put/remove) marks data as dirty
+    Storage.onWrite(() => AutoBackup.markDirty());
 
 
     /* =========================================
@@ -837,8 +2899,21 @@ const TWX = (() => {
 
     async function backupToCloud() {
         try {
+            // Record collections live in IndexedDB, not in localStorage
+            const records = {};
+            for (const key of Object.keys(RECORD_STORES)) {
+                records[key] = await Storage.load(key);
+            }
+            // …and so do whole-value keys that outgrew localStorage
+            const values = {};
+            for (const key of VALUE_KEYS) {
+                if (Storage.locationOf(key) === "indexeddb") values[key] = await Storage.load(key);
+            }
             const payload = {
-                localStorage: { ...localStorage }
+                localStorage: { ...localStorage },
+                records,
+                values,
+                images: await Images.exportFor(records),
             };
 
             const res = await fetch(CLOUD_BACKUP_URL, {
@@ -861,7 +2936,7 @@ const TWX = (() => {
         }
     }
 
-    // Fetch the newest backup from Neon and restore localStorage
+    // Fetch the newest backup from Neon and restore localStorage + records
     async function restoreFromCloud() {
         try {
             const res = await fetch(CLOUD_BACKUP_URL);
@@ -878,6 +2953,24 @@ const TWX = (() => {
                 Object.keys(data.localStorage).forEach((key) => {
                     localStorage.setItem(key, data.localStorage[key]);
                 });
+                // Snapshots without schema info are treated as v0 and
+                // upgraded by Migrate.runAll() on the reload below.
+                if (!(KEYS.SCHEMA in data.localStorage)) Storage.localDel(KEYS.SCHEMA);
+                // Older snapshots carry collections inside localStorage; those
+                // are imported into IndexedDB by Storage on the reload.
+                await Images.importAll(data.images);
+                if (data.values && typeof data.values === "object") {
+                    for (const key of Object.keys(data.values)) {
+                        await Storage.load(key);
+                        await Storage.save(key, data.values[key]);
+                    }
+                }
+                if (data.records && typeof data.records === "object") {
+                    for (const key of Object.keys(RECORD_STORES)) {
+                        if (Array.isArray(data.records[key]))
+                            await Storage.save(key, data.records[key]);
+                    }
+                }
 
                 alert("☁️ Cloud backup restored! Reloading…");
                 location.reload();
@@ -889,6 +2982,837 @@ const TWX = (() => {
         }
     }
 
+    /* =========================================
+       CROSS-TAB SYNC (BroadcastChannel / storage event)
+    ========================================= */
+    const Sync = (() => {
+        const TAB_ID = Util.uid();
+        const CHANNEL = "twicks-sync";
+        const watchers = []; // { keys: Set, fn }
+        let pending = new Set();
+        let timer = null;
+        let channel = null;
+
+        // Re-render every watcher interested in the changed keys (debounced)
+        function refresh(keys) {
+            keys.forEach((k) => pending.add(k));
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const changed = pending;
+                pending = new Set();
+                watchers.forEach((w) => {
+                    if (![...changed].some((k) => w.keys.has(k))) return;
+                    Promise.resolve()
+                        .then(w.fn)
+                        .catch((err) => console.warn("[Twicks Sync] render failed:", err));
+                });
+            }, 120);
+        }
+
+        function watch(keys, fn) {
+            watchers.push({ keys: new Set(keys), fn });
+        }
+
+        function changedRevKeys(oldRaw, newRaw) {
+            let a = {}, b = {};
+            try {
+                a = JSON.parse(oldRaw || "{}") || {};
+                b = JSON.parse(newRaw || "{}") || {};
+            } catch { }
+            return Object.keys(b).filter((k) => a[k] !== b[k]);
+        }
+
+        function start() {
+            if (typeof BroadcastChannel === "function") {
+                channel = new BroadcastChannel(CHANNEL);
+                channel.onmessage = (e) => {
+                    const msg = e.data;
+                    if (!msg || msg.from === TAB_ID || !msg.key) return;
+                    refresh([msg.key]);
+                };
+                Storage.onWrite(({ key, ids }) =>
+                    channel.postMessage({ from: TAB_ID, key, ids })
+                );
+            } else {
+                // Every Storage write bumps KEYS.REVS, which other tabs see here
+                window.addEventListener("storage", (e) => {
+                    if (e.key !== KEYS.REVS) return;
+                    refresh(changedRevKeys(e.oldValue, e.newValue));
+                });
+            }
+
+            // A write refused because this tab was stale: tell the user and reload
+            window.addEventListener("unhandledrejection", (e) => {
+                if (!(e.reason instanceof Storage.StaleWriteError)) return;
+                e.preventDefault();
+                alert(
+                    "Another tab changed this data first, so your last change was not saved.\nThe page has been refreshed — please try again."
+                );
+                refresh(watchers.flatMap((w) => [...w.keys]));
+            });
+        }
+
+        return { start, watch, refresh, tabId: TAB_ID };
+    })();
+
+    /* =========================================
+       UNDO / REDO JOURNAL
+       Every Storage write is recorded as { key, id, before, after }.
+       Writes that follow one user gesture (click/change/key) form one entry;
+       timer work and derived write-backs run untracked.
+    ========================================= */
+    const History = (() => {
+        const MAX_ENTRIES = 50;
+        const GROUP_IDLE_MS = 5000; // follow-up writes join a recent entry
+        const IGNORE = new Set([KEYS.REVS, KEYS.EVENTS]); // the audit log is append-only
+
+        let undoStack = [];
+        let redoStack = [];
+        let current = null;
+        let lastWriteAt = 0;
+        let armedLabel = null;
+        let applying = false;
+        let quiet = 0;
+
+        // Run fn without journaling its writes. Status that is derived from
+        // other data is re-derived after an undo instead of being replayed.
+        async function untracked(fn) {
+            quiet++;
+            try {
+                return await fn();
+            } finally {
+                quiet--;
+            }
+        }
+
+        function persist() {
+            const data = { undo: undoStack, redo: redoStack };
+            while (true) {
+                try {
+                    sessionStorage.setItem(KEYS.HISTORY, JSON.stringify(data));
+                    return;
+                } catch {
+                    // Too big for sessionStorage: drop the oldest steps first
+                    if (data.redo.length > 1) data.redo.shift();
+                    else if (data.undo.length > 1) data.undo.shift();
+                    else return;
+                }
+            }
+        }
+
+        function restore() {
+            try {
+                const data = JSON.parse(sessionStorage.getItem(KEYS.HISTORY) || "{}");
+                undoStack = Array.isArray(data.undo) ? data.undo : [];
+                redoStack = Array.isArray(data.redo) ? data.redo : [];
+            } catch {
+                undoStack = [];
+                redoStack = [];
+            }
+        }
+
+        function describe(target) {
+            const el = target?.closest?.("button, [title], select, a");
+            const text = (el?.getAttribute?.("title") || el?.textContent || "").trim();
+            return text.replace(/\s+/g, " ").slice(0, 40) || "Change";
+        }
+
+        function record({ key, changes }) {
+            if (applying || quiet || IGNORE.has(key)) return;
+            const real = changes.filter(
+                (c) => JSON.stringify(c.before) !== JSON.stringify(c.after)
+            );
+            if (!real.length) return;
+
+            const now = Date.now();
+            if (armedLabel != null || !current || now - lastWriteAt > GROUP_IDLE_MS) {
+                current = { id: Util.uid(), label: armedLabel || "Change", at: now, changes: [] };
+                armedLabel = null;
+                undoStack.push(current);
+                if (undoStack.length > MAX_ENTRIES) undoStack.shift();
+            }
+            real.forEach((c) => current.changes.push({ key, ...c }));
+            lastWriteAt = now;
+            redoStack = [];
+            persist();
+            updateButtons();
+        }
+
+        // Sold status is written back untracked, so it doesn't count as drift
+        function comparable(key, val) {
+            if (key !== KEYS.SOLD || !val) return JSON.stringify(val);
+            const { status, ...rest } = val;
+            return JSON.stringify(rest);
+        }
+
+        async function apply(entry, direction) {
+            const list = direction === "undo" ? [...entry.changes].reverse() : entry.changes;
+            const from = direction === "undo" ? "after" : "before";
+            const to = direction === "undo" ? "before" : "after";
+
+            // Warn before overwriting something that changed after this step
+            let drifted = 0;
+            const checked = new Set();
+            for (const c of list) {
+                const slot = `${c.key}|${c.id}`;
+                if (checked.has(slot)) continue;
+                checked.add(slot);
+                const now = Storage.isRecordKey(c.key)
+                    ? (await Storage.get(c.key, c.id)) ?? null
+                    : await Storage.load(c.key, null);
+                if (comparable(c.key, now) !== comparable(c.key, c[from])) drifted++;
+            }
+            if (
+                drifted &&
+                !confirm(
+                    `${drifted} value(s) changed after "${entry.label}".\n${direction === "undo" ? "Undo" : "Redo"} anyway?`
+                )
+            )
+                return false;
+
+            const resettle = list.some((c) => c.key === KEYS.PAYMENTS || c.key === KEYS.SOLD);
+            applying = true;
+            try {
+                for (const c of list) {
+                    const val = c[to];
+                    if (!Storage.isRecordKey(c.key)) {
+                        await Storage.load(c.key, null);
+                        await Storage.save(c.key, val);
+                    } else if (val == null) {
+                        await Storage.remove(c.key, c.id);
+                    } else {
+                        await Storage.put(c.key, val);
+                        if (c[from] == null && Audit.STAGES[c.key])
+                            await Audit.log("restored", val, { via: direction }, c.key);
+                    }
+                }
+                // Paid/Partial on Sold records follows the restored payments
+                if (resettle) await Payments.settleAll();
+            } finally {
+                applying = false;
+            }
+            current = null;
+            Sync.refresh(list.map((c) => c.key));
+            return true;
+        }
+
+        async function undo() {
+            const entry = undoStack[undoStack.length - 1];
+            if (!entry) return;
+            if (!(await apply(entry, "undo"))) return;
+            redoStack.push(undoStack.pop());
+            persist();
+            updateButtons();
+            Util.ariaLiveAnnounce(`Undid ${entry.label}`);
+        }
+
+        async function redo() {
+            const entry = redoStack[redoStack.length - 1];
+            if (!entry) return;
+            if (!(await apply(entry, "redo"))) return;
+            undoStack.push(redoStack.pop());
+            persist();
+            updateButtons();
+            Util.ariaLiveAnnounce(`Redid ${entry.label}`);
+        }
+
+        function updateButtons() {
+            const u = document.getElementById("btnUndo");
+            const r = document.getElementById("btnRedo");
+            const top = (s) => s[s.length - 1];
+            if (u) {
+                u.disabled = !undoStack.length;
+                u.title = undoStack.length ? `Undo: ${top(undoStack).label} (Ctrl+Z)` : "Nothing to undo";
+            }
+            if (r) {
+                r.disabled = !redoStack.length;
+                r.title = redoStack.length
+                    ? `Redo: ${top(redoStack).label} (Ctrl+Shift+Z)`
+                    : "Nothing to redo";
+            }
+        }
+
+        function installButtons() {
+            const headerBrand = document.querySelector(".topbar .branding");
+            if (!headerBrand || document.getElementById("btnUndo")) return;
+            const mk = (id, label, fn) => {
+                const b = document.createElement("button");
+                b.id = id;
+                b.type = "button";
+                b.textContent = label;
+                b.className = "btn secondary";
+                b.style.marginLeft = "8px";
+                b.onclick = () => fn().catch((e) => alert(e?.message || e));
+                headerBrand.appendChild(b);
+            };
+            mk("btnUndo", "↶ Undo", undo);
+            mk("btnRedo", "↷ Redo", redo);
+            updateButtons();
+        }
+
+        function isTyping(el) {
+            return (
+                el &&
+                (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))
+            );
+        }
+
+        function start() {
+            restore();
+            installButtons();
+            Storage.onWrite(record);
+
+            // A user gesture starts a new journal entry for the writes it causes
+            const arm = (e) => {
+                if (e.target?.closest?.("#btnUndo, #btnRedo")) return;
+                armedLabel = describe(e.target);
+            };
+            document.addEventListener("click", arm, true);
+            document.addEventListener("change", arm, true);
+
+            document.addEventListener("keydown", (e) => {
+                if (!(e.ctrlKey || e.metaKey) || isTyping(e.target)) return;
+                const k = e.key.toLowerCase();
+                if (k === "z" && !e.shiftKey) {
+                    e.preventDefault();
+                    undo().catch((err) => alert(err?.message || err));
+                } else if ((k === "z" && e.shiftKey) || k === "y") {
+                    e.preventDefault();
+                    redo().catch((err) => alert(err?.message || err));
+                }
+            });
+        }
+
+        return { start, undo, redo, untracked };
+    })();
+
+    /* =========================================
+       STORAGE QUOTA MONITOR
+    ========================================= */
+    const Quota = (() => {
+        const LOCAL_BUDGET = 5 * 1024 * 1024; // chars; typical per-origin localStorage limit
+        const WARN_AT = 0.8;
+        const RELIEF_TO = 0.5; // auto-move big keys until localStorage is this full
+        const LABELS = {
+            [KEYS.BOUGHT]: "Inventory",
+            [KEYS.FORSALE]: "For Sale",
+            [KEYS.SOLD]: "Sold",
+            [KEYS.EVENTS]: "Audit log",
+            [KEYS.CASH]: "Cash",
+            [KEYS.SELLERS]: "Sellers",
+            [KEYS.BUYERS]: "Buyers",
+            [KEYS.SHIP_OUT_MAP]: "Shipping fees (legacy)",
+            [KEYS.PAYMENTS]: "Payments",
+            [KEYS.LOTS]: "Lots",
+            [KEYS.MARKDOWN_RULES]: "Markdown rules",
+            [KEYS.SHIPMENTS]: "Shipments",
+            [KEYS.ACCOUNTS]: "Cash accounts",
+            [KEYS.FX_RATES]: "Exchange rates",
+            [KEYS.BUYER_PROFILES]: "Buyer profiles",
+            [KEYS.REMINDERS]: "Payment reminders",
+        };
+        let timer = null;
+
+        const fmtBytes = (n) =>
+            n >= 1048576 ? (n / 1048576).toFixed(1) + " MB" : (n / 1024).toFixed(1) + " KB";
+
+        function localUsage() {
+            let used = 0;
+            const perKey = {};
+            try {
+                for (let i = 0; i < localStorage.length; i++) {
+                    const k = localStorage.key(i);
+                    const n = k.length + (localStorage.getItem(k) || "").length;
+                    perKey[k] = n;
+                    used += n;
+                }
+            } catch { }
+            return { used, perKey, ratio: used / LOCAL_BUDGET };
+        }
+
+        async function estimate() {
+            try {
+                const est = await navigator.storage?.estimate?.();
+                if (est?.quota) return { usage: est.usage || 0, quota: est.quota };
+            } catch { }
+            return null;
+        }
+
+        async function report() {
+            const local = localUsage();
+            const rows = [];
+            for (const key of Object.keys(LABELS)) {
+                const where = Storage.locationOf(key);
+                let size = local.perKey[key] || 0;
+                if (where === "indexeddb") size = JSON.stringify(await Storage.load(key, [])).length;
+                rows.push({ key, label: LABELS[key], where, size });
+            }
+            return { local, rows, blobs: await Storage.blobStats(), est: await estimate() };
+        }
+
+        // Move the biggest data keys out of localStorage while it is nearly full
+        async function relieve() {
+            let local = localUsage();
+            if (local.ratio < WARN_AT) return [];
+            const moved = [];
+            const candidates = VALUE_KEYS.filter(
+                (k) => Storage.locationOf(k) === "localStorage" && local.perKey[k]
+            ).sort((a, b) => local.perKey[b] - local.perKey[a]);
+            for (const key of candidates) {
+                if (local.ratio < RELIEF_TO) break;
+                await Storage.moveToIdb(key);
+                moved.push(LABELS[key]);
+                local = localUsage();
+            }
+            return moved;
+        }
+
+        function banner(msg) {
+            let el = document.getElementById("twxQuotaWarn");
+            if (!msg) {
+                el?.remove();
+                return;
+            }
+            if (!el) {
+                el = document.createElement("div");
+                el.id = "twxQuotaWarn";
+                el.setAttribute("role", "alert");
+                el.style.cssText =
+                    "margin:0 6px 12px 6px;padding:10px 12px;border-radius:10px;background:rgba(255,170,0,.12);border:1px solid rgba(255,170,0,.45);cursor:pointer;";
+                el.onclick = openPanel;
+                const top = document.querySelector(".topbar");
+                if (!top) return;
+                top.after(el);
+            }
+            el.textContent = msg + " — click for details.";
+        }
+
+        async function check() {
+            const moved = await relieve();
+            const local = localUsage();
+            const est = await estimate();
+            const msgs = [];
+            if (moved.length) msgs.push(`Moved ${moved.join(", ")} to IndexedDB to free space`);
+            if (local.ratio >= WARN_AT)
+                msgs.push(`localStorage is ${Math.round(local.ratio * 100)}% full`);
+            if (est && est.usage / est.quota >= WARN_AT)
+                msgs.push(`Browser storage is ${Math.round((est.usage / est.quota) * 100)}% full`);
+            banner(msgs.length ? "⚠ " + msgs.join(" • ") : "");
+        }
+
+        async function openPanel() {
+            const { local, rows, blobs, est } = await report();
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "560px";
+            const pct = (r) => Math.round(r * 100) + "%";
+            card.innerHTML = `
+        <h3>Storage</h3>
+        <div class="modal-row">
+          <div>Browser storage: ${est ? `${fmtBytes(est.usage)} of ${fmtBytes(est.quota)} (${pct(est.usage / est.quota)})` : "estimate not available"}</div>
+          <div>localStorage: ${fmtBytes(local.used)} of ~${fmtBytes(LOCAL_BUDGET)} (${pct(local.ratio)})</div>
+          <div>Images: ${blobs.count} stored • ${fmtBytes(blobs.bytes)}</div>
+        </div>
+        <div class="modal-row">
+          <div style="display:flex;flex-direction:column;gap:6px;max-height:300px;overflow:auto;">
+            ${rows
+                    .map(
+                        (r) => `
+            <div style="display:flex;gap:8px;align-items:center;justify-content:space-between;">
+              <div style="flex:1 1 auto">${Util.esc(r.label)}</div>
+              <div class="meta">${r.where === "indexeddb" ? "IndexedDB" : "localStorage"} • ${fmtBytes(r.size)}</div>
+              ${r.where === "localStorage"
+                                ? `<button class="small-btn" data-move="${Util.esc(r.key)}">Move to IndexedDB</button>`
+                                : ""}
+            </div>`
+                    )
+                    .join("")}
+          </div>
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="qPersist">Keep data persistent</button>
+          <button class="btn secondary" id="qGc">Clean unused images</button>
+          <button class="btn secondary" id="qClose">Close</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => veil.remove();
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#qClose").onclick = close;
+            card.querySelector("#qPersist").onclick = async () => {
+                const ok = await navigator.storage?.persist?.().catch(() => false);
+                alert(ok ? "Storage marked as persistent." : "The browser declined persistent storage.");
+            };
+            card.querySelector("#qGc").onclick = async () => {
+                const n = await Images.gc();
+                alert(`Removed ${n} unused image(s).\nImages are kept for a week after their last use, for undo in other tabs.`);
+                close();
+                openPanel();
+            };
+            card.addEventListener("click", async (e) => {
+                const btn = e.target.closest("[data-move]");
+                if (!btn) return;
+                await Storage.moveToIdb(btn.dataset.move);
+                close();
+                openPanel();
+                check();
+            });
+        }
+
+        function installButton() {
+            const headerBrand = document.querySelector(".topbar .branding");
+            if (!headerBrand || document.getElementById("btnStorage")) return;
+            const b = document.createElement("button");
+            b.id = "btnStorage";
+            b.type = "button";
+            b.textContent = "💾 Storage";
+            b.className = "btn secondary";
+            b.style.marginLeft = "8px";
+            b.onclick = () => openPanel().catch((e) => alert(e?.message || e));
+            headerBrand.appendChild(b);
+        }
+
+        function start() {
+            installButton();
+            Storage.onWrite(() => {
+                clearTimeout(timer);
+                timer = setTimeout(() => check().catch(() => { }), 5000);
+            });
+            check().catch((e) => console.warn("[Twicks Quota] check failed:", e));
+        }
+
+        return { start, openPanel, check };
+    })();
+
+    /* =========================================
+       DATA INTEGRITY CHECK & REPAIR
+    ========================================= */
+    const Integrity = (() => {
+        const SEVERITY = ["error", "warning", "info"];
+        const SEVERITY_LABEL = { error: "Errors", warning: "Warnings", info: "Notes" };
+        const ITEM_KEYS = [KEYS.BOUGHT, KEYS.FORSALE, KEYS.SOLD];
+        const STAGE = { [KEYS.BOUGHT]: "Inventory", [KEYS.FORSALE]: "For Sale", [KEYS.SOLD]: "Sold" };
+        const NUM_FIELDS = {
+            [KEYS.BOUGHT]: ["buy", "ship", "sell"],
+            [KEYS.FORSALE]: ["price", "buy", "ship_in"],
+            [KEYS.SOLD]: ["price", "buy"],
+        };
+        const badNum = (v) => !Number.isFinite(Number(v)) || v === "" || v === null;
+
+        async function loadAll() {
+            const data = {};
+            for (const key of ITEM_KEYS) data[key] = await Storage.load(key);
+            data.cash = await Storage.load(KEYS.CASH);
+            data.accounts = await Storage.load(KEYS.ACCOUNTS);
+            data.sellers = await Storage.load(KEYS.SELLERS);
+            data.buyers = await Storage.load(KEYS.BUYERS);
+            data.payments = await Storage.load(KEYS.PAYMENTS);
+            data.shipments = await Storage.load(KEYS.SHIPMENTS);
+            return data;
+        }
+
+        // Each check returns an issue or null: { severity, title, detail, fixLabel, fix }
+        async function scan() {
+            const d = await loadAll();
+            const issues = [];
+            const add = (issue) => issue && issues.push(issue);
+            const sample = (list, f) =>
+                list.slice(0, 5).map(f).join(", ") + (list.length > 5 ? ` … +${list.length - 5}` : "");
+
+            // numbers
+            for (const key of ITEM_KEYS) {
+                const bad = d[key].filter((it) => NUM_FIELDS[key].some((f) => badNum(it[f])));
+                if (bad.length)
+                    add({
+                        severity: "error",
+                        title: `${bad.length} ${STAGE[key]} item(s) with invalid numbers`,
+                        detail: sample(bad, (it) => it.name || it.id),
+                        fixLabel: "Normalize numbers",
+                        fix: async () => {
+                            await Storage.save(
+                                key,
+                                (await Storage.load(key)).map((it) => {
+                                    const out = { ...it };
+                                    NUM_FIELDS[key].forEach((f) => (out[f] = Util.clampNumber(it[f])));
+                                    if (key === KEYS.BOUGHT && badNum(it.sell)) out.sell = out.buy;
+                                    return out;
+                                })
+                            );
+                        },
+                    });
+                const neg = d[key].filter((it) => NUM_FIELDS[key].some((f) => Number(it[f]) < 0));
+                if (neg.length)
+                    add({
+                        severity: "warning",
+                        title: `${neg.length} ${STAGE[key]} item(s) with negative amounts`,
+                        detail: sample(neg, (it) => it.name || it.id),
+                    });
+            }
+
+            // images
+            const known = new Set(await Storage.blobHashes());
+            for (const key of ITEM_KEYS) {
+                const empty = d[key].filter((it) => !it.image);
+                if (empty.length)
+                    add({
+                        severity: "warning",
+                        title: `${empty.length} ${STAGE[key]} item(s) without an image`,
+                        detail: sample(empty, (it) => it.name || it.id),
+                    });
+                const lost = d[key].filter(
+                    (it) => Images.isRef(it.image) && !known.has(Images.hashOf(it.image))
+                );
+                if (lost.length)
+                    add({
+                        severity: "error",
+                        title: `${lost.length} ${STAGE[key]} image(s) missing from the image store`,
+                        detail: sample(lost, (it) => it.name || it.id) + " — restore a backup to recover them",
+                    });
+            }
+
+            // the same item in two stages
+            const stageOf = new Map();
+            const dupes = [];
+            for (const key of ITEM_KEYS) {
+                d[key].forEach((it) => {
+                    if (stageOf.has(it.id)) dupes.push({ id: it.id, name: it.name, keep: key, drop: stageOf.get(it.id) });
+                    stageOf.set(it.id, key);
+                });
+            }
+            if (dupes.length)
+                add({
+                    severity: "error",
+                    title: `${dupes.length} item(s) present in more than one stage`,
+                    detail: sample(dupes, (x) => `${x.name || x.id} (${STAGE[x.drop]} + ${STAGE[x.keep]})`),
+                    fixLabel: "Keep the later stage",
+                    fix: async () => {
+                        for (const x of dupes) await Storage.remove(x.drop, x.id);
+                    },
+                });
+
+            // sold status must match what the recorded payments cover
+            const { byItem } = Payments.allocateAll(d[KEYS.SOLD], d.payments);
+            const badStatus = d[KEYS.SOLD].filter((it) => it.status !== byItem[it.id].status);
+            if (badStatus.length)
+                add({
+                    severity: "error",
+                    title: `${badStatus.length} Sold item(s) whose status disagrees with payments`,
+                    detail: sample(badStatus, (it) => `${it.name || it.id}: ${it.status} → ${byItem[it.id].status}`),
+                    fixLabel: "Recompute from payments",
+                    fix: () => Payments.settleAll(),
+                });
+
+            // cash
+            const badCash = d.cash.filter((c) => badNum(c.amount));
+            if (badCash.length)
+                add({
+                    severity: "error",
+                    title: `${badCash.length} cash entr(y/ies) with invalid amounts`,
+                    detail: sample(badCash, (c) => c.note || c.source),
+                    fixLabel: "Normalize amounts",
+                    fix: async () => {
+                        await Storage.save(
+                            KEYS.CASH,
+                            (await Storage.load(KEYS.CASH)).map((c) => ({
+                                ...c,
+                                amount: Util.clampNumber(c.amount),
+                            }))
+                        );
+                    },
+                });
+
+            // cash entries for accounts that were never set up (totals still count them)
+            const accountNames = new Set(d.accounts.map((a) => a.name));
+            const unknownAccounts = [
+                ...new Set(d.cash.flatMap((c) => [c.source, c.to]).filter((n) => n && !accountNames.has(n))),
+            ];
+            if (unknownAccounts.length)
+                add({
+                    severity: "warning",
+                    title: `${unknownAccounts.length} cash account(s) used by entries but not set up`,
+                    detail: sample(unknownAccounts, (n) => n),
+                    fixLabel: "Add as accounts",
+                    fix: async () => {
+                        for (const n of unknownAccounts) await Accounts.add(n);
+                    },
+                });
+
+            // sellers
+            const usedSellers = new Set(
+                [...d[KEYS.BOUGHT], ...d[KEYS.FORSALE]].map((it) => it.seller).filter(Boolean)
+            );
+            const sellerList = new Set(d.sellers);
+            const unusedSellers = d.sellers.filter((s) => !usedSellers.has(s));
+            const missingSellers = [...usedSellers].filter((s) => !sellerList.has(s));
+            if (missingSellers.length)
+                add({
+                    severity: "warning",
+                    title: `${missingSellers.length} seller(s) used by items but missing from the seller list`,
+                    detail: sample(missingSellers, (s) => s),
+                    fixLabel: "Add to seller list",
+                    fix: async () => {
+                        const set = new Set(await Storage.load(KEYS.SELLERS));
+                        missingSellers.forEach((s) => set.add(s));
+                        await Storage.save(KEYS.SELLERS, Array.from(set));
+                    },
+                });
+            if (unusedSellers.length)
+                add({
+                    severity: "info",
+                    title: `${unusedSellers.length} seller(s) no item uses`,
+                    detail: sample(unusedSellers, (s) => s),
+                    fixLabel: "Remove unused sellers",
+                    fix: async () => {
+                        const drop = new Set(unusedSellers);
+                        await Storage.save(
+                            KEYS.SELLERS,
+                            (await Storage.load(KEYS.SELLERS)).filter((s) => !drop.has(s))
+                        );
+                    },
+                });
+
+            // buyers
+            const soldBuyers = new Set(d[KEYS.SOLD].map((it) => it.buyer).filter(Boolean));
+            const buyerList = new Set(d.buyers);
+            const missingBuyers = [...soldBuyers].filter((b) => b !== "Unknown" && !buyerList.has(b));
+            if (missingBuyers.length)
+                add({
+                    severity: "warning",
+                    title: `${missingBuyers.length} buyer(s) on Sold items but missing from the buyer list`,
+                    detail: sample(missingBuyers, (b) => b),
+                    fixLabel: "Add to buyer list",
+                    fix: async () => {
+                        const set = new Set(await Storage.load(KEYS.BUYERS));
+                        missingBuyers.forEach((b) => set.add(b));
+                        await Storage.save(KEYS.BUYERS, Array.from(set));
+                    },
+                });
+
+            // shipments for buyers that no longer exist (e.g. renamed)
+            const shipBuyers = new Set(d[KEYS.SOLD].map((it) => it.buyer || "Unknown"));
+            const dangling = d.shipments.filter((s) => !shipBuyers.has(s.buyer));
+            if (dangling.length)
+                add({
+                    severity: "warning",
+                    title: `${dangling.length} shipment(s) for buyers with no Sold items`,
+                    detail: sample(dangling, (s) => `${s.buyer}: ${Util.fmtMoney(s.fee)}`),
+                    fixLabel: "Remove dangling shipments",
+                    // through Shipments.remove so their ship-out cash entries go too
+                    fix: async () => {
+                        for (const s of dangling) await Shipments.remove(s.id);
+                    },
+                });
+
+            // parcels listing items that are no longer Sold
+            const soldIds = new Set(d[KEYS.SOLD].map((it) => it.id));
+            const stale = d.shipments.filter(
+                (s) => shipBuyers.has(s.buyer) && (s.itemIds || []).some((id) => !soldIds.has(id))
+            );
+            if (stale.length)
+                add({
+                    severity: "info",
+                    title: `${stale.length} shipment(s) list items that are no longer Sold`,
+                    detail: sample(stale, (s) => `${s.buyer}${s.tracking ? " • " + s.tracking : ""}`),
+                    fixLabel: "Drop missing items",
+                    fix: async () => {
+                        const ids = new Set((await Storage.load(KEYS.SOLD)).map((it) => it.id));
+                        await Storage.save(
+                            KEYS.SHIPMENTS,
+                            (await Storage.load(KEYS.SHIPMENTS)).map((s) => ({
+                                ...s,
+                                itemIds: (s.itemIds || []).filter((id) => ids.has(id)),
+                            }))
+                        );
+                    },
+                });
+
+            return issues.sort(
+                (a, b) => SEVERITY.indexOf(a.severity) - SEVERITY.indexOf(b.severity)
+            );
+        }
+
+        async function openPanel() {
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "620px";
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => veil.remove();
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+
+            let issues = [];
+            async function render() {
+                card.innerHTML = `<h3>Check data</h3><div class="modal-row">Scanning…</div>`;
+                issues = await scan();
+                const fixable = issues.filter((i) => i.fix).length;
+                const groups = SEVERITY.map((sev) => {
+                    const list = issues.filter((i) => i.severity === sev);
+                    if (!list.length) return "";
+                    return `
+          <h4 style="margin:10px 0 6px;">${SEVERITY_LABEL[sev]} (${list.length})</h4>
+          ${list
+                            .map(
+                                (i) => `
+          <div style="display:flex;gap:8px;align-items:flex-start;justify-content:space-between;margin-bottom:8px;">
+            <div style="flex:1 1 auto">
+              <div><span class="status-pill ${sev === "info" ? "paid" : "pending"}">${sev}</span> ${Util.esc(i.title)}</div>
+              ${i.detail ? `<div class="meta">${Util.esc(i.detail)}</div>` : ""}
+            </div>
+            ${i.fix ? `<button class="small-btn" data-fix="${issues.indexOf(i)}">${Util.esc(i.fixLabel)}</button>` : ""}
+          </div>`
+                            )
+                            .join("")}`;
+                }).join("");
+                card.innerHTML = `
+        <h3>Check data</h3>
+        <div class="modal-row" style="max-height:420px;overflow:auto;">
+          ${groups || "<div>✅ No problems found.</div>"}
+        </div>
+        <div class="modal-actions">
+          ${fixable ? `<button class="btn primary" id="icFixAll">Fix all (${fixable})</button>` : ""}
+          <button class="btn secondary" id="icRescan">Re-check</button>
+          <button class="btn secondary" id="icClose">Close</button>
+        </div>`;
+                card.querySelector("#icClose").onclick = close;
+                card.querySelector("#icRescan").onclick = render;
+                const all = card.querySelector("#icFixAll");
+                if (all)
+                    all.onclick = async () => {
+                        for (const i of issues) if (i.fix) await i.fix();
+                        await render();
+                    };
+            }
+            card.addEventListener("click", async (e) => {
+                const btn = e.target.closest("[data-fix]");
+                if (!btn) return;
+                await issues[Number(btn.dataset.fix)]?.fix();
+                await render();
+            });
+            await render();
+        }
+
+        function installButton() {
+            const headerBrand = document.querySelector(".topbar .branding");
+            if (!headerBrand || document.getElementById("btnCheckData")) return;
+            const b = document.createElement("button");
+            b.id = "btnCheckData";
+            b.type = "button";
+            b.textContent = "🩺 Check data";
+            b.className = "btn secondary";
+            b.style.marginLeft = "8px";
+            b.onclick = () => openPanel().catch((e) => alert(e?.message || e));
+            headerBrand.appendChild(b);
+        }
+
+        return { scan, openPanel, installButton };
+    })();
+
     /* =========================================
        UI helpers shared across pages
     ========================================= */
@@ -929,6 +3853,7 @@ const TWX = (() => {
                 "forsale.html": "forsale",
                 "sold.html": "sold",
                 "cash.html": "cash",
+                "dashboard.html": "dashboard",
             };
             const current = map[path] || "";
             document
@@ -940,10 +3865,31 @@ const TWX = (() => {
             activePage = current;
         }
 
-        function open(src, caption = "") {
+        function timelineEl() {
+            let el = document.getElementById("modalTimeline");
+            if (!el && modalCaption) {
+                el = document.createElement("div");
+                el.id = "modalTimeline";
+                el.className = "modal-caption";
+                el.style.cssText = "max-height:40vh;overflow:auto;font-size:13px;";
+                modalCaption.after(el);
+            }
+            return el;
+        }
+
+        function open(src, caption = "", itemId = "") {
             if (!imageModal) return;
             modalImg.src = src;
             modalCaption.textContent = caption;
+            const tl = timelineEl();
+            if (tl) {
+                tl.innerHTML = "";
+                if (itemId)
+                    Audit.timelineHTML(itemId).then((html) => {
+                        // ignore if the modal moved on to another item meanwhile
+                        if (modalImg.src === src) tl.innerHTML = html;
+                    });
+            }
             imageModal.classList.add("show");
             imageModal.setAttribute("aria-hidden", "false");
         }
@@ -953,6 +3899,8 @@ const TWX = (() => {
             imageModal.setAttribute("aria-hidden", "true");
             modalImg.src = "";
             modalCaption.textContent = "";
+            const tl = document.getElementById("modalTimeline");
+            if (tl) tl.innerHTML = "";
         }
 
         return {
@@ -966,54 +3914,942 @@ const TWX = (() => {
         };
     })();
 
+    /* =========================================
+       ITEM DETAILS (metadata editor + search)
+       Shared by Inventory, For Sale and Sold. Metadata rides along on the
+       record, so it survives every move between stages.
+    ========================================= */
+    const ItemDetails = (() => {
+        const META = [
+            { f: "set", label: "Set" },
+            { f: "number", label: "Card #" },
+            { f: "rarity", label: "Rarity" },
+            {
+                f: "condition",
+                label: "Condition",
+                options: ["Mint", "Near Mint", "Lightly Played", "Moderately Played", "Heavily Played", "Damaged"],
+            },
+            { f: "grade", label: "Grade", placeholder: "e.g. PSA 10" },
+            { f: "language", label: "Language", suggest: ["English", "Japanese", "Chinese", "Korean"] },
+        ];
+        // Money fields per stage; on For Sale and Sold "buy" already includes ship-in
+        const AMOUNTS = {
+            [KEYS.BOUGHT]: [
+                ["buy", "Buy ₱"],
+                ["ship", "Ship-in ₱"],
+                ["sell", "Est sell ₱"],
+            ],
+            [KEYS.FORSALE]: [
+                ["price", "Price ₱"],
+                ["buy", "Cost ₱ (incl. ship-in)"],
+                ["ship_in", "Ship-in ₱"],
+            ],
+            [KEYS.SOLD]: [
+                ["price", "Sold for ₱"],
+                ["buy", "Cost ₱ (incl. ship-in)"],
+            ],
+        };
+        const SEARCHED = ["name", ...META.map((m) => m.f), "notes", "seller", "buyer"];
+        let query = "";
+
+        // One-line summary of the metadata for a card; notes show on hover
+        function metaHTML(item) {
+            const parts = [
+                item.set,
+                item.number ? "#" + item.number : "",
+                item.rarity,
+                item.condition,
+                item.grade,
+                item.language,
+            ].filter(Boolean);
+            if (!parts.length && !item.notes) return "";
+            return `<div class="meta item-details" title="${Util.esc(item.notes || "")}">${Util.esc(
+                parts.join(" • ")
+            )}${item.notes ? " 📝" : ""}</div>`;
+        }
+
+        function matches(item) {
+            if (!query) return true;
+            const hay = SEARCHED.map((f) => item[f])
+                .filter((v) => v != null && v !== "")
+                .join(" ")
+                .toLowerCase();
+            return query.split(/\s+/).every((t) => hay.includes(t));
+        }
+
+        const searching = () => !!query;
+
+        function installSearch(before, onChange) {
+            if (!before || document.getElementById("twxSearch")) return;
+            const bar = document.createElement("div");
+            bar.style.cssText = "margin:0 0 10px 6px;";
+            bar.innerHTML = `<input id="twxSearch" type="search" placeholder="Search name, set, number, rarity, notes…"
+          aria-label="Search cards" style="min-width:280px;padding:8px 10px;border-radius:10px;" />`;
+            before.parentElement.insertBefore(bar, before);
+            let t = null;
+            bar.querySelector("input").addEventListener("input", (e) => {
+                clearTimeout(t);
+                t = setTimeout(() => {
+                    query = e.target.value.trim().toLowerCase();
+                    onChange();
+                }, 150);
+            });
+        }
+
+        // Edit modal; resolves true once something was saved
+        async function edit(key, id) {
+            const item = await Storage.get(key, id);
+            if (!item) {
+                alert("Item not found");
+                return false;
+            }
+            return new Promise((resolve) => {
+                const field = (m) => {
+                    const v = Util.esc(item[m.f] ?? "");
+                    if (m.options)
+                        return `<select data-f="${m.f}">
+              <option value="">—</option>
+              ${m.options.map((o) => `<option${o === item[m.f] ? " selected" : ""}>${o}</option>`).join("")}
+            </select>`;
+                    return `<input data-f="${m.f}" type="text" value="${v}" placeholder="${m.placeholder || ""}"${m.suggest ? ` list="twxList_${m.f}"` : ""
+                        } />${m.suggest
+                            ? `<datalist id="twxList_${m.f}">${m.suggest.map((o) => `<option value="${o}">`).join("")}</datalist>`
+                            : ""
+                        }`;
+                };
+
+                const veil = document.createElement("div");
+                veil.className = "modal-veil show";
+                const card = document.createElement("div");
+                card.className = "modal-card";
+                card.style.maxWidth = "520px";
+                card.innerHTML = `
+          <h3>Edit card</h3>
+          <div class="modal-row"><label>Name</label>
+            <input data-f="name" type="text" value="${Util.esc(item.name || "")}" />
+          </div>
+          ${META.map((m) => `<div class="modal-row"><label>${m.label}</label>${field(m)}</div>`).join("")}
+          <div class="modal-row"><label>Notes</label>
+            <textarea data-f="notes" rows="3">${Util.esc(item.notes || "")}</textarea>
+          </div>
+          ${AMOUNTS[key]
+                        .map(
+                            ([f, label]) => `<div class="modal-row"><label>${label}</label>
+            <input data-n="${f}" type="number" step="0.01" min="0" inputmode="decimal" value="${Number(item[f] || 0)}" />
+          </div>`
+                        )
+                        .join("")}
+          ${item.fx ? `<div class="modal-row">${FX.line(item)}</div>` : ""}
+          <div class="modal-actions">
+            <button class="btn secondary" id="cancelEdit">Cancel</button>
+            <button class="btn primary" id="saveEdit">Save</button>
+          </div>`;
+                veil.appendChild(card);
+                document.body.appendChild(veil);
+                const close = (saved) => {
+                    document.body.removeChild(veil);
+                    resolve(saved);
+                };
+                veil.onclick = () => close(false);
+                card.onclick = (e) => e.stopPropagation();
+                card.querySelector("#cancelEdit").onclick = () => close(false);
+
+                card.querySelector("#saveEdit").onclick = async () => {
+                    const prev = await Storage.get(key, id);
+                    if (!prev) {
+                        alert("This item was moved or deleted meanwhile.");
+                        close(false);
+                        return;
+                    }
+                    const next = { ...prev };
+                    for (const el of card.querySelectorAll("[data-f]")) {
+                        const v = el.value.trim();
+                        if (v) next[el.dataset.f] = v;
+                        else delete next[el.dataset.f];
+                    }
+                    if (!next.name) {
+                        alert("Please enter a name.");
+                        return;
+                    }
+                    for (const [f, label] of AMOUNTS[key]) {
+                        const n = parseFloat(card.querySelector(`[data-n="${f}"]`).value);
+                        if (isNaN(n) || n < 0) {
+                            alert(`${label.replace(" ₱", "")} must be a number of 0 or more.`);
+                            return;
+                        }
+                        next[f] = n;
+                    }
+                    if (key === KEYS.FORSALE && next.ship_in > next.buy) {
+                        alert("Ship-in can't be more than the cost (the cost includes ship-in).");
+                        return;
+                    }
+
+                    const changed = Object.keys({ ...prev, ...next }).filter(
+                        (f) => String(prev[f] ?? "") !== String(next[f] ?? "")
+                    );
+                    if (!changed.length) {
+                        close(false);
+                        return;
+                    }
+                    // a cost typed in pesos replaces the converted foreign amount
+                    if (next.fx && (changed.includes("buy") || changed.includes("ship"))) {
+                        delete next.fx;
+                        changed.push("fx");
+                    }
+                    await Storage.put(key, next);
+                    if (key === KEYS.FORSALE && changed.includes("price"))
+                        await Audit.log("repriced", next, { price: next.price }, key);
+                    const rest = changed.filter((f) => !(key === KEYS.FORSALE && f === "price"));
+                    if (rest.length) await Audit.log("edited", next, { fields: rest }, key);
+                    // a new sold price changes what the buyer owes
+                    if (key === KEYS.SOLD && changed.includes("price")) await Payments.settle(next.buyer);
+                    if (["buy", "ship", "ship_in"].some((f) => changed.includes(f))) await restateCost(next, key);
+                    close(true);
+                };
+            });
+        }
+
+        // What was paid for a card, split like Inventory records it; For Sale
+        // and Sold fold ship-in into buy
+        function paidFor(item, key) {
+            if (key === KEYS.BOUGHT) return { buy: Number(item.buy || 0), ship: Number(item.ship || 0) };
+            const ship = Number(item.ship_in || 0);
+            return { buy: Math.max(0, Number(item.buy || 0) - ship), ship };
+        }
+
+        // Keep the purchase deductions in Cash (and the lot's totals) in step
+        // with an edited cost
+        async function restateCost(item, key) {
+            if (!item.lotId) {
+                await Expenses.restate({ itemId: item.id }, paidFor(item, key));
+                return;
+            }
+            const sum = { buy: 0, ship: 0 };
+            for (const k of [KEYS.BOUGHT, KEYS.FORSALE, KEYS.SOLD]) {
+                (await Storage.load(k))
+                    .filter((it) => it.lotId === item.lotId)
+                    .forEach((it) => {
+                        const p = paidFor(it, k);
+                        sum.buy += p.buy;
+                        sum.ship += p.ship;
+                    });
+            }
+            const lots = await Storage.load(KEYS.LOTS);
+            const lot = lots.find((l) => l.id === item.lotId);
+            if (lot) {
+                lot.total = Math.round(sum.buy * 100) / 100;
+                lot.ship = Math.round(sum.ship * 100) / 100;
+                await Storage.save(KEYS.LOTS, lots);
+            }
+            await Expenses.restate({ lotId: item.lotId }, sum);
+        }
+
+        return { edit, metaHTML, matches, searching, installSearch };
+    })();
+
+    /* =========================================
+       BUYER PROFILES (contacts, address, history)
+       Buyers stay plain names everywhere else; a profile is looked up by
+       name and opened from the Sold buyer blocks and the For Sale picker.
+    ========================================= */
+    const BuyerProfile = (() => {
+        const FIELDS = ["fb", "phone", "address", "courier", "notes"];
+        const DAY = 86400000;
+
+        async function get(buyer) {
+            return (await Storage.load(KEYS.BUYER_PROFILES)).find((p) => p.name === buyer) || null;
+        }
+
+        async function courierOf(buyer) {
+            return (await get(buyer))?.courier || "";
+        }
+
+        // Empty fields are dropped; a profile with nothing left is removed
+        async function save(buyer, fields) {
+            const list = await Storage.load(KEYS.BUYER_PROFILES);
+            const prev = list.find((p) => p.name === buyer);
+            const next = { id: prev?.id || Util.uid(), name: buyer };
+            FIELDS.forEach((f) => {
+                const v = String(fields[f] ?? "").trim();
+                if (v) next[f] = v;
+            });
+            next.updatedAt = Date.now();
+            const rest = list.filter((p) => p.name !== buyer);
+            const empty = FIELDS.every((f) => !next[f]);
+            if (empty && !prev) return;
+            await Storage.save(KEYS.BUYER_PROFILES, empty ? rest : [...rest, next]);
+        }
+
+        async function renameBuyer(from, to) {
+            const list = await Storage.load(KEYS.BUYER_PROFILES);
+            if (!list.some((p) => p.name === from)) return;
+            // a profile already kept under the new name wins
+            const kept = list.some((p) => p.name === to);
+            await Storage.save(
+                KEYS.BUYER_PROFILES,
+                kept ? list.filter((p) => p.name !== from) : list.map((p) => (p.name === from ? { ...p, name: to } : p))
+            );
+        }
+
+        // Lifetime figures; an order is one day's purchases (one live/session)
+        async function stats(buyer) {
+            const { items, balance, credit } = await Payments.summary(buyer);
+            const value = items.reduce((s, it) => s + Number(it.price || 0), 0);
+            const orders = new Set(items.map((it) => Math.floor((it.soldAt || 0) / DAY))).size;
+            return {
+                count: items.length,
+                value,
+                orders,
+                avgOrder: orders ? value / orders : 0,
+                balance,
+                credit,
+                lastAt: items.length ? Math.max(...items.map((it) => it.soldAt || 0)) : null,
+                shipments: Shipments.ofBuyer(await Storage.load(KEYS.SHIPMENTS), buyer),
+                items,
+            };
+        }
+
+        async function open(buyer) {
+            if (!buyer) return;
+            const profile = (await get(buyer)) || {};
+            const st = await stats(buyer);
+            const val = (f) => Util.esc(profile[f] || "");
+            const stat = (label, value) => `<div class="profile-stat"><span>${label}</span><strong>${value}</strong></div>`;
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "640px";
+            card.innerHTML = `
+        <h3>👤 ${Util.esc(buyer)}</h3>
+        <div class="modal-row profile-stats">
+          ${stat("Purchases", `${st.count} card(s)`)}
+          ${stat("Lifetime value", Util.fmtMoney(st.value))}
+          ${stat("Avg order", Util.fmtMoney(st.avgOrder))}
+          ${stat("Balance", `<span class="${st.balance > 0 ? "amount-neg" : ""}">${Util.fmtMoney(st.balance)}</span>`)}
+          ${stat("Last purchase", Util.fmtDate(st.lastAt))}
+          ${st.credit ? stat("Credit", Util.fmtMoney(st.credit)) : ""}
+        </div>
+        <div class="modal-row"><label>FB / Messenger</label>
+          <input id="bpFb" type="text" value="${val("fb")}" placeholder="Name or profile link" />
+        </div>
+        <div class="modal-row"><label>Phone</label>
+          <input id="bpPhone" type="tel" value="${val("phone")}" placeholder="09xx xxx xxxx" />
+        </div>
+        <div class="modal-row"><label>Shipping address</label>
+          <textarea id="bpAddress" rows="3">${val("address")}</textarea>
+        </div>
+        <div class="modal-row"><label>Preferred courier</label>
+          <input id="bpCourier" type="text" list="bpCouriers" value="${val("courier")}" />
+          <datalist id="bpCouriers">${Shipments.COURIERS.map((c) => `<option value="${c}">`).join("")}</datalist>
+        </div>
+        <div class="modal-row"><label>Notes</label>
+          <input id="bpNotes" type="text" value="${val("notes")}" />
+        </div>
+        <div class="modal-row">
+          <label>Shipments (${st.shipments.length})</label>
+          <div style="display:flex;flex-direction:column;gap:4px;max-height:180px;overflow:auto;">
+            ${st.shipments.length
+                    ? st.shipments
+                        .map(
+                            (p) => `<div class="meta">📦 ${Util.fmtDate(p.shippedAt || p.createdAt)} • ${Util.esc(
+                                p.courier || "No courier"
+                            )}${p.tracking ? ` • TN ${Util.esc(p.tracking)}` : ""} • ${Util.esc(p.status)} • ${Shipments.itemsOf(p, st.items).length
+                                } item(s) • ${Util.fmtMoney(p.fee)}</div>`
+                        )
+                        .join("")
+                    : `<div class="meta">No shipments yet.</div>`}
+          </div>
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="cancelBp">Close</button>
+          <button class="btn primary" id="saveBp">Save</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#cancelBp").onclick = close;
+            card.querySelector("#saveBp").onclick = async () => {
+                const phone = card.querySelector("#bpPhone").value.trim();
+                if (phone && !/^[+\d][\d\s()-]{5,}$/.test(phone)) {
+                    alert("Please enter a valid phone number.");
+                    return;
+                }
+                await save(buyer, {
+                    fb: card.querySelector("#bpFb").value,
+                    phone,
+                    address: card.querySelector("#bpAddress").value,
+                    courier: card.querySelector("#bpCourier").value,
+                    notes: card.querySelector("#bpNotes").value,
+                });
+                close();
+                Util.ariaLiveAnnounce("Buyer profile saved");
+            };
+        }
+
+        return { FIELDS, get, courierOf, save, renameBuyer, stats, open };
+    })();
+
+    /* =========================================
+       BULK SELECTION (checkbox / shift-click + action bar)
+    ========================================= */
+    const Bulk = (() => {
+        const roundTo5 = (n) => Math.round(n / 5) * 5;
+
+        // Ask how to reprice; resolves to (oldPrice) => newPrice, or null
+        function askReprice(count) {
+            return new Promise((resolve) => {
+                const veil = document.createElement("div");
+                veil.className = "modal-veil show";
+                const card = document.createElement("div");
+                card.className = "modal-card";
+                card.innerHTML = `
+          <h3>Reprice ${count} card(s)</h3>
+          <div class="modal-row"><label>Change</label>
+            <select id="rpMode">
+              <option value="set">Set price to ₱</option>
+              <option value="pct">Add / subtract %</option>
+            </select>
+          </div>
+          <div class="modal-row"><label>Value</label>
+            <input id="rpValue" type="number" step="0.01" placeholder="e.g. 250 or -10" />
+          </div>
+          <div class="modal-row">
+            <label style="display:inline-flex;gap:8px;align-items:center;cursor:pointer;">
+              <input type="checkbox" id="rpRound" checked /> Round to the nearest ₱5
+            </label>
+          </div>
+          <div class="modal-actions">
+            <button class="btn secondary" id="rpCancel">Cancel</button>
+            <button class="btn primary" id="rpOk">Apply</button>
+          </div>`;
+                veil.appendChild(card);
+                document.body.appendChild(veil);
+                const close = (fn) => {
+                    document.body.removeChild(veil);
+                    resolve(fn);
+                };
+                veil.onclick = () => close(null);
+                card.onclick = (e) => e.stopPropagation();
+                card.querySelector("#rpCancel").onclick = () => close(null);
+                card.querySelector("#rpOk").onclick = () => {
+                    const mode = card.querySelector("#rpMode").value;
+                    const v = parseFloat(card.querySelector("#rpValue").value);
+                    const round = card.querySelector("#rpRound").checked;
+                    if (isNaN(v) || (mode === "set" && v < 0) || (mode === "pct" && v <= -100)) {
+                        alert("Please enter a valid value.");
+                        return;
+                    }
+                    close((old) => {
+                        const n = mode === "set" ? v : Number(old || 0) * (1 + v / 100);
+                        return Math.max(0, round ? roundTo5(n) : Math.round(n * 100) / 100);
+                    });
+                };
+            });
+        }
+
+        // Selection for one grid. actions: [{ label, run(ids) }]; a run that
+        // returns false keeps the selection (e.g. the user cancelled).
+        function create(container, actions, rerender) {
+            const ids = new Set();
+            let anchor = null;
+
+            const bar = document.createElement("div");
+            bar.className = "bulk-bar";
+            bar.style.display = "none";
+            container.parentElement.insertBefore(bar, container);
+
+            const boxes = () => Array.from(container.querySelectorAll(".sel-box"));
+
+            function sync() {
+                const visible = new Set(boxes().map((b) => b.dataset.id));
+                // hidden cards (search, other tab) must not ride along on a bulk action
+                ids.forEach((id) => !visible.has(id) && ids.delete(id));
+                boxes().forEach((b) => {
+                    b.checked = ids.has(b.dataset.id);
+                    b.closest(".card")?.classList.toggle("selected", b.checked);
+                });
+                bar.style.display = ids.size ? "" : "none";
+                bar.innerHTML = `
+          <strong>${ids.size} selected</strong>
+          ${actions.map((a, i) => `<button class="btn secondary" data-act="${i}">${a.label}</button>`).join("")}
+          <button class="btn secondary" data-act="all">Select all</button>
+          <button class="btn secondary" data-act="clear">Clear</button>`;
+            }
+
+            container.addEventListener("click", (e) => {
+                const box = e.target.closest(".sel-box");
+                if (!box) return;
+                const all = boxes().map((b) => b.dataset.id);
+                const at = all.indexOf(box.dataset.id);
+                const from = all.indexOf(anchor);
+                if (e.shiftKey && from !== -1) {
+                    all.slice(Math.min(from, at), Math.max(from, at) + 1).forEach((id) =>
+                        box.checked ? ids.add(id) : ids.delete(id)
+                    );
+                } else if (box.checked) ids.add(box.dataset.id);
+                else ids.delete(box.dataset.id);
+                anchor = box.dataset.id;
+                sync();
+            });
+
+            bar.addEventListener("click", async (e) => {
+                const act = e.target.closest("[data-act]")?.dataset.act;
+                if (act == null) return;
+                if (act === "all") boxes().forEach((b) => ids.add(b.dataset.id));
+                else if (act === "clear") ids.clear();
+                else {
+                    const kept = (await actions[Number(act)].run(Array.from(ids))) === false;
+                    if (!kept) ids.clear();
+                    await rerender();
+                }
+                sync();
+            });
+
+            return {
+                box: (id) =>
+                    `<input type="checkbox" class="sel-box" data-id="${id}" ${ids.has(id) ? "checked" : ""
+                    } title="Select (Shift-click selects a range)" aria-label="Select card" />`,
+                sync,
+            };
+        }
+
+        return { create, askReprice, roundTo5 };
+    })();
+
     /* =========================================
        INVENTORY PAGE (index.html)
     ========================================= */
     const Inventory = (() => {
-        let container;
+        let container, selection;
+
+        async function getSellers() {
+            const set = new Set(await Storage.load(KEYS.SELLERS));
+            (await Storage.load(KEYS.BOUGHT)).forEach((it) => {
+                if (it.seller) set.add(it.seller);
+            });
+            return Array.from(set).sort((a, b) => a.localeCompare(b));
+        }
+        async function addSeller(name) {
+            const set = new Set(await Storage.load(KEYS.SELLERS));
+            if (name) set.add(name);
+            await Storage.save(KEYS.SELLERS, Array.from(set));
+        }
+
+        async function populateSellerSelect(selectEl) {
+            if (!selectEl) return;
+            const sellers = await getSellers();
+            const last = Storage.localGet(KEYS.SELLER_LAST) || "";
+            selectEl.innerHTML = `
+        <option value="">— Select Seller —</option>
+        ${sellers.map((s) => `<option value="${Util.esc(s)}">${Util.esc(s)}</option>`).join("")}
+        <option value="__new__">➕ Add new seller…</option>
+      `;
+            if (last && sellers.includes(last)) selectEl.value = last;
+        }
+
+        async function chooseSellerFlow(selectEl) {
+            if (!selectEl) return null;
+            if (selectEl.value === "__new__") {
+                const name = prompt("New seller name:")?.trim();
+                if (!name) {
+                    selectEl.value = "";
+                    return null;
+                }
+                await addSeller(name);
+                await populateSellerSelect(selectEl);
+                selectEl.value = name;
+                Storage.localSet(KEYS.SELLER_LAST, name);
+                return name;
+            }
+            if (!selectEl.value) return null;
+            Storage.localSet(KEYS.SELLER_LAST, selectEl.value);
+            return selectEl.value;
+        }
+
+        // Inventory record → For Sale listing; the id stays the same so the
+        // item keeps one identity (and one audit trail) across all stages.
+        function toListing(item) {
+            return {
+                id: item.id,
+                name: item.name || "Card",
+                price:
+                    item.sell != null
+                        ? Number(item.sell)
+                        : Number(item.buy || 0) + Number(item.ship || 0),
+                buy: Number(item.buy || 0) + Number(item.ship || 0), // carry buy+ship
+                ship_in: Number(item.ship || 0),
+                seller: item.seller || "",
+                image: item.image,
+                ...(item.lotId ? { lotId: item.lotId } : {}),
+                ...(item.fx ? { fx: item.fx } : {}),
+                boughtAt: item.createdAt,
+                createdAt: Date.now(),
+                listedAt: Date.now(),
+            };
+        }
+
+        // Split a lot's price and ship-in fee across its cards. Shares are
+        // rounded to centavos and the last card absorbs the rounding, so the
+        // cards always add up to what was paid. Manual mode takes each card's
+        // buy as typed and spreads ship-in in the same proportion.
+        function allocateLot(total, ship, rows, method) {
+            const n = rows.length;
+            if (!n) return [];
+            const cents = (x) => Math.round(x * 100) / 100;
+            const split = (amount, weights) => {
+                const sum = weights.reduce((a, b) => a + b, 0);
+                const out = weights.map((w) => cents(sum > 0 ? (amount * w) / sum : amount / n));
+                out[n - 1] = cents(out[n - 1] + amount - out.reduce((a, b) => a + b, 0));
+                return out;
+            };
+            const pos = (v) => Math.max(0, Number(v) || 0);
+            const weights =
+                method === "proportional"
+                    ? rows.map((r) => pos(r.sell))
+                    : method === "manual"
+                        ? rows.map((r) => pos(r.buy))
+                        : rows.map(() => 1);
+            const buys = method === "manual" ? rows.map((r) => cents(pos(r.buy))) : split(total, weights);
+            const ships = split(ship, weights);
+            return rows.map((_, i) => ({ buy: buys[i], ship: ships[i] }));
+        }
+
+        function injectLotButton() {
+            const addBtn = document.getElementById("addBoughtBtn");
+            if (!addBtn || document.getElementById("addLotBtn")) return;
+            const btn = document.createElement("button");
+            btn.id = "addLotBtn";
+            btn.type = "button";
+            btn.className = "btn secondary";
+            btn.textContent = "📦 Bought a lot";
+            btn.style.marginLeft = "8px";
+            addBtn.parentElement.insertBefore(btn, addBtn.nextSibling);
+            btn.addEventListener("click", showLotModal);
+        }
+
+        async function showLotModal() {
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "640px";
+            card.innerHTML = `
+        <h3>Bought a lot</h3>
+        <div class="modal-row"><label>Seller</label>
+          <select id="lotSeller" class="seller-select"></select>
+        </div>
+        <div class="modal-row"><label>Lot name</label>
+          <input id="lotName" type="text" placeholder="e.g. 20-card bulk" />
+        </div>
+        <div class="modal-row"><label>Currency</label>
+          <select id="lotCurrency">${await FX.options(Storage.localGet(KEYS.FX_LAST) || FX.HOME)}</select>
+        </div>
+        <div class="modal-row"><label>Total cost</label>
+          <input id="lotTotal" type="number" step="0.01" min="0" inputmode="decimal" />
+        </div>
+        <div class="modal-row"><label>Ship-in</label>
+          <input id="lotShip" type="number" step="0.01" min="0" inputmode="decimal" />
+        </div>
+        <div class="modal-row"><label>Paid from</label>
+          <select id="lotAccount">${await Accounts.options(await Expenses.defaultAccount())}</select>
+        </div>
+        <div class="modal-row"><label>Images</label>
+          <input id="lotFiles" type="file" accept="image/*,.heic,.heif" multiple />
+        </div>
+        <div class="modal-row"><label>Allocate</label>
+          <select id="lotMethod">
+            <option value="even">Evenly</option>
+            <option value="proportional">By expected sell price</option>
+            <option value="manual">Manual</option>
+          </select>
+        </div>
+        <div class="modal-row">
+          <div id="lotRows" style="display:flex;flex-direction:column;gap:6px;max-height:300px;overflow:auto;"></div>
+        </div>
+        <div class="modal-row"><div class="meta" id="lotCheck"></div></div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="cancelLot">Cancel</button>
+          <button class="btn primary" id="okLot">Add Lot</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            let saving = false; // the dialog stays open while cards are added
+            const close = () => veil.remove();
+            veil.onclick = () => !saving && close();
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#cancelLot").onclick = close;
+
+            const $ = (sel) => card.querySelector(sel);
+            const sellerSel = $("#lotSeller");
+            await populateSellerSelect(sellerSel);
+            sellerSel.addEventListener("change", () => {
+                if (sellerSel.value === "__new__") chooseSellerFlow(sellerSel);
+            });
+
+            let rows = []; // { file, name, sell, buy }
+            const amount = (sel) => {
+                const n = parseFloat($(sel).value);
+                return isNaN(n) ? 0 : n;
+            };
+
+            // Recompute shares and the "adds up" line without rebuilding inputs
+            function refresh() {
+                const method = $("#lotMethod").value;
+                const currency = $("#lotCurrency").value;
+                const total = amount("#lotTotal");
+                const shares = rows.length ? allocateLot(total, amount("#lotShip"), rows, method) : [];
+                $("#lotRows")
+                    .querySelectorAll("[data-i]")
+                    .forEach((row) => {
+                        const i = Number(row.dataset.i);
+                        if (method !== "manual") row.querySelector(".lot-buy").value = shares[i].buy.toFixed(2);
+                        row.querySelector(".lot-ship").textContent = `+ ${FX.fmt(shares[i].ship, currency)} ship-in`;
+                    });
+                const sum = shares.reduce((a, b) => a + b.buy, 0);
+                const off = method === "manual" && Math.abs(sum - total) >= 0.01;
+                $("#lotCheck").textContent = rows.length
+                    ? `${rows.length} card(s) • Allocated ${FX.fmt(sum, currency)} of ${FX.fmt(total, currency)}` +
+                    (off ? " — adjust the cards to match the lot total" : "")
+                    : "Choose the lot's images to list its cards.";
+                $("#lotCheck").style.color = off ? "var(--bad)" : "";
+                $("#okLot").textContent = rows.length ? `Add ${rows.length} card(s)` : "Add Lot";
+                return { shares, off };
+            }
+
+            function renderRows() {
+                const manual = $("#lotMethod").value === "manual";
+                $("#lotRows").innerHTML = rows
+                    .map(
+                        (r, i) => `
+              <div data-i="${i}" style="display:flex;gap:8px;align-items:center;">
+                <span style="flex:1 1 auto;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${Util.esc(r.name)}</span>
+                <input class="lot-sell" type="number" step="0.01" placeholder="Est sell ₱" value="${r.sell ?? ""}" style="width:110px" />
+                <input class="lot-buy" type="number" step="0.01" placeholder="Buy" value="${manual && r.buy != null ? r.buy : ""}" style="width:110px" ${manual ? "" : "readonly"} />
+                <span class="meta lot-ship" style="min-width:120px;"></span>
+              </div>`
+                    )
+                    .join("");
+                refresh();
+            }
+
+            $("#lotFiles").addEventListener("change", (e) => {
+                rows = Array.from(e.target.files).map((file) => ({
+                    file,
+                    name: Util.deriveNameFromFile(file),
+                    sell: null,
+                    buy: null,
+                }));
+                renderRows();
+            });
+            $("#lotMethod").addEventListener("change", () => {
+                // seed manual mode with the current even/proportional split
+                if ($("#lotMethod").value === "manual") {
+                    const seeded = allocateLot(amount("#lotTotal"), amount("#lotShip"), rows, "even");
+                    rows.forEach((r, i) => r.buy == null && (r.buy = seeded[i].buy));
+                }
+                renderRows();
+            });
+            $("#lotTotal").addEventListener("input", refresh);
+            $("#lotCurrency").addEventListener("change", refresh);
+            $("#lotShip").addEventListener("input", refresh);
+            $("#lotRows").addEventListener("input", (e) => {
+                const row = e.target.closest("[data-i]");
+                if (!row) return;
+                const r = rows[Number(row.dataset.i)];
+                const v = e.target.value === "" ? null : parseFloat(e.target.value);
+                if (e.target.classList.contains("lot-sell")) r.sell = v;
+                if (e.target.classList.contains("lot-buy")) r.buy = v;
+                refresh();
+            });
+            refresh();
+
+            $("#okLot").onclick = async () => {
+                const seller =
+                    sellerSel.value === "__new__" ? await chooseSellerFlow(sellerSel) : sellerSel.value;
+                const total = parseFloat($("#lotTotal").value);
+                if (!seller) {
+                    alert("Please select a seller.");
+                    return;
+                }
+                if (isNaN(total) || total < 0) {
+                    alert("Please enter the lot's total cost.");
+                    return;
+                }
+                if (!rows.length) {
+                    alert("Choose at least one image.");
+                    return;
+                }
+                const { shares, off } = refresh();
+                if (off) {
+                    alert("The manual amounts must add up to the lot total.");
+                    return;
+                }
+
+                const currency = $("#lotCurrency").value;
+                const rate = await FX.rateOf(currency);
+                if (!rate) {
+                    alert(`There's no ${currency} rate yet. Set one under 💱 Rates.`);
+                    return;
+                }
+                const foreign = currency !== FX.HOME;
+                // shares are in the lot's currency; cards store pesos
+                const php = shares.map((sh) => ({ buy: FX.toHome(sh.buy, rate), ship: FX.toHome(sh.ship, rate) }));
+
+                const okBtn = $("#okLot");
+                const cancelBtn = $("#cancelLot");
+                saving = true;
+                okBtn.disabled = cancelBtn.disabled = true;
+                okBtn.textContent = "Adding…";
+                const method = $("#lotMethod").value;
+                const lot = {
+                    id: Util.uid(),
+                    seller,
+                    name: ($("#lotName").value || "").trim() || `Lot • ${dateFmt.format(new Date())}`,
+                    total: php.reduce((a, b) => a + b.buy, 0),
+                    ship: php.reduce((a, b) => a + b.ship, 0),
+                    count: rows.length,
+                    method,
+                    ...(foreign ? { fx: { currency, rate, total, ship: amount("#lotShip") } } : {}),
+                    createdAt: Date.now(),
+                };
+
+                // Upload every image first; the lot, its cards and the cash
+                // deduction are only written once all of them made it
+                const items = [];
+                try {
+                    for (let i = 0; i < rows.length; i++) {
+                        const r = rows[i];
+                        let image = "";
+                        try {
+                            image = await SupaStore.uploadCardImage(r.file);
+                        } catch (err) {
+                            console.warn("Image upload failed; falling back to local image store", err);
+                            image = await Images.fromFile(r.file);
+                        }
+                        items.push({
+                            id: Util.uid(),
+                            seller,
+                            name: r.name,
+                            buy: php[i].buy,
+                            ship: php[i].ship,
+                            sell: r.sell == null || isNaN(r.sell) ? php[i].buy : Number(r.sell),
+                            image,
+                            lotId: lot.id,
+                            ...(foreign ? { fx: { currency, rate, buy: shares[i].buy, ship: shares[i].ship } } : {}),
+                            createdAt: Date.now(),
+                        });
+                        okBtn.textContent = `Adding… ${i + 1}/${rows.length}`;
+                    }
+                } catch (err) {
+                    console.error("[Twicks] Lot images failed", err);
+                    alert("Couldn't store the lot's images, nothing was added: " + err.message);
+                    saving = false;
+                    okBtn.disabled = cancelBtn.disabled = false;
+                    refresh();
+                    return;
+                }
 
-        async function getSellers() {
-            const set = new Set(await Storage.load(KEYS.SELLERS));
-            (await Storage.load(KEYS.BOUGHT)).forEach((it) => {
-                if (it.seller) set.add(it.seller);
-            });
-            return Array.from(set).sort((a, b) => a.localeCompare(b));
-        }
-        async function addSeller(name) {
-            const set = new Set(await Storage.load(KEYS.SELLERS));
-            if (name) set.add(name);
-            await Storage.save(KEYS.SELLERS, Array.from(set));
+                if (foreign) Storage.localSet(KEYS.FX_LAST, currency);
+                for (const item of items) {
+                    await Storage.put(KEYS.BOUGHT, item);
+                    await Audit.log(
+                        "purchased",
+                        item,
+                        { seller, cost: item.buy + item.ship, lot: lot.name },
+                        KEYS.BOUGHT
+                    );
+                }
+                const lots = await Storage.load(KEYS.LOTS);
+                lots.unshift(lot);
+                await Storage.save(KEYS.LOTS, lots);
+                await Expenses.purchase(
+                    { lotId: lot.id },
+                    {
+                        buy: lot.total,
+                        ship: lot.ship,
+                        source: $("#lotAccount").value,
+                        note:
+                            `Bought ${lot.name} from ${seller}` +
+                            (foreign ? ` (${FX.fmt(total + amount("#lotShip"), currency)})` : ""),
+                    }
+                );
+
+                Storage.localSet(KEYS.SELLER_LAST, seller);
+                close();
+                await populateSellerSelect(document.getElementById("b_seller_select"));
+                await renderBought();
+                Util.ariaLiveAnnounce(`Added ${rows.length} cards from ${lot.name}`);
+            };
         }
 
-        async function populateSellerSelect(selectEl) {
-            if (!selectEl) return;
-            const sellers = await getSellers();
-            const last = Storage.localGet(KEYS.SELLER_LAST) || "";
-            selectEl.innerHTML = `
-        <option value="">— Select Seller —</option>
-        ${sellers.map((s) => `<option value="${Util.esc(s)}">${Util.esc(s)}</option>`).join("")}
-        <option value="__new__">➕ Add new seller…</option>
-      `;
-            if (last && sellers.includes(last)) selectEl.value = last;
+        async function listForSale(ids) {
+            let moved = 0;
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.BOUGHT, id);
+                if (!item) continue;
+                await Storage.remove(KEYS.BOUGHT, id);
+                const listing = toListing(item);
+                await Storage.put(KEYS.FORSALE, listing);
+                await Audit.log("listed", listing, { price: listing.price }, KEYS.FORSALE);
+                moved++;
+            }
+            return moved;
         }
 
-        async function chooseSellerFlow(selectEl) {
-            if (!selectEl) return null;
-            if (selectEl.value === "__new__") {
-                const name = prompt("New seller name:")?.trim();
-                if (!name) {
-                    selectEl.value = "";
-                    return null;
-                }
-                await addSeller(name);
-                await populateSellerSelect(selectEl);
-                selectEl.value = name;
-                Storage.localSet(KEYS.SELLER_LAST, name);
-                return name;
+        // A card entered by mistake can take its purchase deduction with it;
+        // cards from a lot leave the lot's deduction alone
+        async function removeItems(ids) {
+            const posted = [];
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.BOUGHT, id);
+                if (!item) continue;
+                if (!item.lotId && (await Expenses.hasPurchase({ itemId: id }))) posted.push(id);
+                await Storage.remove(KEYS.BOUGHT, id);
+                await Audit.log("deleted", item, {}, KEYS.BOUGHT);
             }
-            if (!selectEl.value) return null;
-            Storage.localSet(KEYS.SELLER_LAST, selectEl.value);
-            return selectEl.value;
+            if (
+                posted.length &&
+                confirm(
+                    `Also remove the purchase deduction for ${posted.length} card(s) from Cash?\nCancel keeps it, e.g. if the card was paid for but lost.`
+                )
+            )
+                for (const id of posted) await Expenses.unlink({ itemId: id });
+        }
+
+        function bulkActions() {
+            return [
+                {
+                    label: "List for Sale",
+                    run: async (ids) => {
+                        const n = await listForSale(ids);
+                        Util.ariaLiveAnnounce(`Moved ${n} items to For Sale`);
+                    },
+                },
+                {
+                    label: "Reprice",
+                    run: async (ids) => {
+                        const priceOf = await Bulk.askReprice(ids.length);
+                        if (!priceOf) return false;
+                        for (const id of ids) {
+                            const item = await Storage.get(KEYS.BOUGHT, id);
+                            if (!item) continue;
+                            item.sell = priceOf(item.sell);
+                            await Storage.put(KEYS.BOUGHT, item);
+                            await Audit.log("edited", item, { fields: ["sell"] }, KEYS.BOUGHT);
+                        }
+                    },
+                },
+                {
+                    label: "🗑️ Delete",
+                    run: async (ids) => {
+                        if (!confirm(`Delete ${ids.length} item(s) from Inventory?`)) return false;
+                        await removeItems(ids);
+                    },
+                },
+            ];
         }
 
         function injectShipInField() {
@@ -1029,6 +4865,51 @@ const TWX = (() => {
             buyEl.parentElement.insertBefore(ship, buyEl.nextSibling);
         }
 
+        // Currency the buy and ship-in inputs are typed in
+        async function injectCurrencyField() {
+            const buyEl = document.getElementById("b_buy");
+            if (!buyEl) return;
+            let sel = document.getElementById("b_currency");
+            if (!sel) {
+                sel = document.createElement("select");
+                sel.id = "b_currency";
+                sel.title = "Currency paid";
+                sel.setAttribute("aria-label", "Currency paid");
+                buyEl.parentElement.insertBefore(sel, buyEl);
+                sel.addEventListener("change", () => {
+                    Storage.localSet(KEYS.FX_LAST, sel.value);
+                    labelAmounts(sel.value);
+                });
+            }
+            const cur = sel.value || Storage.localGet(KEYS.FX_LAST) || FX.HOME;
+            sel.innerHTML = await FX.options(cur);
+            if (sel.value !== cur) sel.value = FX.HOME; // its rate was deleted
+            labelAmounts(sel.value);
+        }
+
+        function labelAmounts(code) {
+            const unit = code === FX.HOME ? "₱" : code;
+            const buyEl = document.getElementById("b_buy");
+            const shipEl = document.getElementById("b_ship");
+            if (buyEl) buyEl.placeholder = `Buy ${unit}`;
+            if (shipEl) shipEl.placeholder = `Ship-in ${unit}`;
+        }
+
+        // Cash account new purchases are deducted from
+        async function injectAccountField() {
+            const addBtn = document.getElementById("addBoughtBtn");
+            if (!addBtn) return;
+            let sel = document.getElementById("b_account");
+            if (!sel) {
+                sel = document.createElement("select");
+                sel.id = "b_account";
+                sel.title = "Paid from";
+                sel.setAttribute("aria-label", "Paid from account");
+                addBtn.parentElement.insertBefore(sel, addBtn);
+            }
+            sel.innerHTML = await Accounts.options(await Expenses.defaultAccount());
+        }
+
         async function renderBought() {
             const sumCardsEl = document.getElementById("sumCards");
             const sumSpentEl = document.getElementById("sumSpent");
@@ -1037,18 +4918,25 @@ const TWX = (() => {
             const summarySellersEl = document.getElementById("summarySellers");
 
             const items = await Storage.load(KEYS.BOUGHT);
+            await Images.resolve(items);
+            const lots = {};
+            (await Storage.load(KEYS.LOTS)).forEach((l) => (lots[l.id] = l));
+            const scores = await Sellers.load();
             const grouped = {};
             items.forEach((it) => {
                 const s = it.seller || "(No seller)";
                 (grouped[s] ||= []).push(it);
             });
 
-            let totalCount = 0,
-                totalSpent = 0,
-                totalWorth = 0;
+            // summary covers everything; a search only narrows the grid
+            const totalCount = items.length;
+            const totalSpent = items.reduce((a, b) => a + Number(b.buy || 0) + Number(b.ship || 0), 0);
+            const totalWorth = items.reduce((a, b) => a + Number(b.sell || 0), 0);
             const frag = document.createDocumentFragment();
             Object.keys(grouped).forEach((seller) => {
                 const list = grouped[seller];
+                const shown = list.filter(ItemDetails.matches);
+                if (!shown.length) return;
                 const sellerEl = document.createElement("div");
                 sellerEl.className = "seller panel";
                 const spent = list.reduce(
@@ -1057,6 +4945,7 @@ const TWX = (() => {
                 );
                 const worth = list.reduce((a, b) => a + Number(b.sell || 0), 0);
                 const profit = worth - spent;
+                const sc = scores[seller];
 
                 sellerEl.innerHTML = `
           <div class="seller-header">
@@ -1068,6 +4957,15 @@ const TWX = (() => {
                 <div>• Worth: ${Util.fmtMoney(worth)}</div>
                 <div>• Profit: <span class="seller-profit">${Util.fmtMoney(profit)}</span></div>
               </div>
+              ${sc && sc.sold
+                    ? `<div class="seller-meta seller-score" title="All cards ever bought from this seller">
+                <div>Lifetime: ${sc.sold}/${sc.bought} sold (${Sellers.pct(sc.sellThrough)})</div>
+                <div>• Margin: ${Sellers.pct(sc.margin)}</div>
+                <div>• ROI: ${Sellers.pct(sc.roi)}</div>
+                <div>• Avg ${sc.avgDays == null ? "—" : sc.avgDays.toFixed(1)} days to sell</div>
+                ${sc.dead ? `<div>• Dead stock: ${sc.dead}</div>` : ""}
+              </div>`
+                    : ""}
             </div>
             <div>
               <button class="btn secondary seller-list" data-seller="${encodeURIComponent(
@@ -1077,14 +4975,8 @@ const TWX = (() => {
           </div>
         `;
 
-                const grid = document.createElement("div");
-                grid.className = "card-grid";
-
-                list.forEach((card) => {
-                    totalCount++;
+                const renderCard = (card) => {
                     const buyPlusShip = Number(card.buy || 0) + Number(card.ship || 0);
-                    totalSpent += buyPlusShip;
-                    totalWorth += Number(card.sell || 0);
                     const profitEach = Number(card.sell || 0) - buyPlusShip;
                     const profitClass = profitEach >= 0 ? "paid" : "pending";
 
@@ -1092,21 +4984,25 @@ const TWX = (() => {
                     div.className = "card";
                     div.dataset.id = card.id;
                     div.innerHTML = `
-            <div class="img-wrap"><img src="${card.image}" alt="${Util.esc(
+            ${selection.box(card.id)}
+            <div class="img-wrap"><img src="${Images.src(card.image)}" alt="${Util.esc(
                         card.name || "Card"
                     )}" /></div>
             <div class="info">
               <div style="display:flex;justify-content:space-between;align-items:center;">
                 <div>
                   <div class="title">${Util.esc(card.name || "Card")}</div>
+                  ${ItemDetails.metaHTML(card)}
                   <div class="meta">Buy: ${Util.fmtMoney(
                         card.buy
                     )} • Ship-in: ${Util.fmtMoney(
                         card.ship || 0
                     )} • Sell: ${Util.fmtMoney(card.sell)}</div>
+                  ${FX.line(card)}
                 </div>
                 <div class="card-actions">
                   <button class="small-btn copy-img" title="Copy/Open image">📋</button>
+                  <button class="small-btn edit-item" data-id="${card.id}" title="Edit details">✏️</button>
                   <button class="small-btn list-for-sale" data-id="${card.id
                         }">List for Sale</button>
                   <button class="small-btn delete-item" data-id="${card.id
@@ -1118,16 +5014,49 @@ const TWX = (() => {
               </div>
             </div>
           `;
-                    grid.appendChild(div);
+                    return div;
+                };
+
+                // loose cards first, then one group per lot
+                const byLot = {};
+                const grid = document.createElement("div");
+                grid.className = "card-grid";
+                shown.forEach((card) => {
+                    if (card.lotId) (byLot[card.lotId] ||= []).push(card);
+                    else grid.appendChild(renderCard(card));
+                });
+                if (grid.children.length) sellerEl.appendChild(grid);
+
+                Object.keys(byLot).forEach((lotId) => {
+                    const cards = byLot[lotId];
+                    const lot = lots[lotId];
+                    const lotEl = document.createElement("div");
+                    lotEl.className = "lot-group";
+                    lotEl.dataset.lot = lotId;
+                    const held = list.filter((c) => c.lotId === lotId).length;
+                    const left = lot ? `${held} of ${lot.count} card(s) left` : `${held} card(s)`;
+                    lotEl.innerHTML = `
+            <div class="lot-header">
+              <strong>📦 ${Util.esc(lot?.name || "Lot")}</strong>
+              <span>• ${left}</span>
+              ${lot
+                            ? `<span>• Paid ${Util.fmtMoney(lot.total)} + ${Util.fmtMoney(lot.ship)} ship-in</span>`
+                            : ``}
+            </div>`;
+                    const lotGrid = document.createElement("div");
+                    lotGrid.className = "card-grid";
+                    cards.forEach((card) => lotGrid.appendChild(renderCard(card)));
+                    lotEl.appendChild(lotGrid);
+                    sellerEl.appendChild(lotEl);
                 });
 
-                sellerEl.appendChild(grid);
                 frag.appendChild(sellerEl);
             });
 
             Util.rafBatch(() => {
                 container.innerHTML = "";
                 container.appendChild(frag);
+                selection.sync();
 
                 if (sumCardsEl) sumCardsEl.textContent = totalCount;
                 if (sumSpentEl) sumSpentEl.textContent = Util.fmtMoney(totalSpent);
@@ -1164,7 +5093,7 @@ const TWX = (() => {
             container.addEventListener("click", (e) => {
                 const img = e.target.closest(".img-wrap img");
                 if (img) {
-                    UI.openImageModal(img.src, img.alt);
+                    UI.openImageModal(img.src, img.alt, img.closest(".card")?.dataset.id);
                     return;
                 }
 
@@ -1188,36 +5117,21 @@ const TWX = (() => {
                     return;
                 }
 
+                const editBtn = e.target.closest(".edit-item");
+                if (editBtn) {
+                    e.preventDefault();
+                    ItemDetails.edit(KEYS.BOUGHT, editBtn.dataset.id).then((saved) => saved && renderBought());
+                    return;
+                }
+
                 const listBtn = e.target.closest(".list-for-sale");
                 if (listBtn) {
                     e.preventDefault();
                     (async () => {
-                        const id = listBtn.dataset.id;
-                        const items = await Storage.load(KEYS.BOUGHT);
-                        const idx = items.findIndex((x) => x.id === id);
-                        if (idx === -1) {
+                        if (!(await listForSale([listBtn.dataset.id]))) {
                             alert("Item not found");
                             return;
                         }
-                        const item = items.splice(idx, 1)[0];
-                        await Storage.save(KEYS.BOUGHT, items);
-
-                        const listings = await Storage.load(KEYS.FORSALE);
-                        const priceDefault =
-                            item.sell != null
-                                ? Number(item.sell)
-                                : Number(item.buy || 0) + Number(item.ship || 0);
-                        listings.unshift({
-                            id: Util.uid(),
-                            name: item.name || "Card",
-                            price: priceDefault,
-                            buy: Number(item.buy || 0) + Number(item.ship || 0), // carry buy+ship
-                            ship_in: Number(item.ship || 0),
-                            seller: item.seller || "",
-                            image: item.image,
-                            createdAt: Date.now(),
-                        });
-                        await Storage.save(KEYS.FORSALE, listings);
                         await renderBought();
                         Util.ariaLiveAnnounce("Moved item to For Sale");
                         alert("Moved to For Sale.");
@@ -1229,16 +5143,8 @@ const TWX = (() => {
                 if (delBtn) {
                     e.preventDefault();
                     (async () => {
-                        const id = delBtn.dataset.id;
                         if (!confirm("Delete this item from Inventory?")) return;
-                        const items = await Storage.load(KEYS.BOUGHT);
-                        const idx = items.findIndex((x) => x.id === id);
-                        if (idx === -1) {
-                            alert("Item not found");
-                            return;
-                        }
-                        items.splice(idx, 1);
-                        await Storage.save(KEYS.BOUGHT, items);
+                        await removeItems([delBtn.dataset.id]);
                         await renderBought();
                     })();
                     return;
@@ -1250,29 +5156,12 @@ const TWX = (() => {
                     (async () => {
                         const seller = decodeURIComponent(bulkBtn.dataset.seller);
                         if (!confirm(`List ALL cards from ${seller} for sale?`)) return;
-                        const items = await Storage.load(KEYS.BOUGHT);
-                        const toMove = items.filter((i) => (i.seller || "(No seller)") === seller);
-                        const remain = items.filter((i) => (i.seller || "(No seller)") !== seller);
-                        const listings = await Storage.load(KEYS.FORSALE);
-                        toMove.forEach((it) =>
-                            listings.unshift({
-                                id: Util.uid(),
-                                name: it.name || "Card",
-                                price:
-                                    it.sell != null
-                                        ? Number(it.sell)
-                                        : Number(it.buy || 0) + Number(it.ship || 0),
-                                buy: Number(it.buy || 0) + Number(it.ship || 0),
-                                ship_in: Number(it.ship || 0),
-                                seller: it.seller || "",
-                                image: it.image,
-                                createdAt: Date.now(),
-                            })
+                        const toMove = (await Storage.load(KEYS.BOUGHT)).filter(
+                            (i) => (i.seller || "(No seller)") === seller
                         );
-                        await Storage.save(KEYS.BOUGHT, remain);
-                        await Storage.save(KEYS.FORSALE, listings);
+                        const moved = await listForSale(toMove.map((i) => i.id));
                         await renderBought();
-                        alert(`Moved ${toMove.length} items to For Sale.`);
+                        alert(`Moved ${moved} items to For Sale.`);
                     })();
                 }
             });
@@ -1300,6 +5189,13 @@ const TWX = (() => {
                     btn.style.marginLeft = "8px";
                     sellerSelect.parentElement.insertBefore(btn, sellerSelect.nextSibling);
                     btn.addEventListener("click", showManageSellersModal);
+                    const report = document.createElement("button");
+                    report.id = "sellerReportBtn";
+                    report.textContent = "🏅 Seller report";
+                    report.className = "btn secondary";
+                    report.style.marginLeft = "8px";
+                    sellerSelect.parentElement.insertBefore(report, btn.nextSibling);
+                    report.addEventListener("click", showSellerReport);
                     done = true;
                 };
             })();
@@ -1328,14 +5224,24 @@ const TWX = (() => {
                     alert("Fill buy price and choose an image.");
                     return;
                 }
+                // buy and ship-in may be typed in another currency; keep the
+                // original amounts and the rate, store pesos
+                const currency = document.getElementById("b_currency")?.value || FX.HOME;
+                const rate = await FX.rateOf(currency);
+                if (!rate) {
+                    alert(`There's no ${currency} rate yet. Set one under 💱 Rates.`);
+                    return;
+                }
+                const paid = { buy: Number(buy), ship: Number(isNaN(ship) ? 0 : ship) };
+                const buyPHP = FX.toHome(paid.buy, rate);
 
                 let imageUrl = "";
                 try {
                     // Upload to Supabase (or fallback to local dataURL if not available)
                     imageUrl = await SupaStore.uploadCardImage(file);
                 } catch (err) {
-                    console.warn("Image upload failed; falling back to local dataURL", err);
-                    imageUrl = await Img.compress(file, 1000, 0.7);
+                    console.warn("Image upload failed; falling back to local image store", err);
+                    imageUrl = await Images.fromFile(file);
                 }
 
                 const name = Util.deriveNameFromFile(file);
@@ -1343,17 +5249,33 @@ const TWX = (() => {
                     id: Util.uid(),
                     seller: chosenSeller,
                     name,
-                    buy: Number(buy),
-                    ship: Number(isNaN(ship) ? 0 : ship),
-                    sell: Number(isNaN(sell) ? buy : sell),
-                    image: imageUrl,         // <-- now a Supabase URL
+                    buy: buyPHP,
+                    ship: FX.toHome(paid.ship, rate),
+                    sell: Number(isNaN(sell) ? buyPHP : sell),
+                    image: imageUrl,         // Supabase URL or local "twx-img:" ref
+                    ...(currency !== FX.HOME ? { fx: { currency, rate, ...paid } } : {}),
                     createdAt: Date.now(),
                 };
 
 
-                const arr = await Storage.load(KEYS.BOUGHT);
-                arr.unshift(item);
-                await Storage.save(KEYS.BOUGHT, arr);
+                await Storage.put(KEYS.BOUGHT, item);
+                await Audit.log(
+                    "purchased",
+                    item,
+                    { seller: item.seller, cost: item.buy + item.ship },
+                    KEYS.BOUGHT
+                );
+                await Expenses.purchase(
+                    { itemId: item.id },
+                    {
+                        buy: item.buy,
+                        ship: item.ship,
+                        source: document.getElementById("b_account")?.value,
+                        note:
+                            `Bought ${name} from ${chosenSeller}` +
+                            (item.fx ? ` (${FX.fmt(paid.buy + paid.ship, currency)})` : ""),
+                    }
+                );
 
                 Storage.localSet(KEYS.SELLER_LAST, chosenSeller);
                 document.getElementById("b_buy").value = "";
@@ -1374,17 +5296,85 @@ const TWX = (() => {
                     )
                 )
                     return;
-                Storage.localDel(KEYS.BOUGHT);
-                Storage.localDel(KEYS.FORSALE);
-                Storage.localDel(KEYS.SOLD);
-                await Storage.save(KEYS.BOUGHT, []);
-                await Storage.save(KEYS.FORSALE, []);
-                await Storage.save(KEYS.SOLD, []);
+                for (const key of [KEYS.BOUGHT, KEYS.FORSALE, KEYS.SOLD]) {
+                    // reload first so records added by other tabs are cleared too
+                    await Storage.load(key);
+                    await Storage.save(key, []);
+                }
                 await renderBought();
                 alert("All data cleared.");
             });
         }
 
+        async function showSellerReport() {
+            const scores = Object.values(await Sellers.load());
+            const SORTS = {
+                profit: ["Profit", (r) => -r.profit],
+                roi: ["ROI", (r) => -(r.roi ?? -Infinity)],
+                sellThrough: ["Sell-through", (r) => -(r.sellThrough ?? -Infinity)],
+                avgDays: ["Fastest to sell", (r) => r.avgDays ?? Infinity],
+                dead: ["Dead stock", (r) => -r.dead],
+            };
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "960px";
+            card.innerHTML = `
+        <h3>Seller report</h3>
+        <div class="modal-row"><div class="meta">Every card bought from each seller, wherever it is now. Margin and ROI count sold cards with a known cost, after our shipping share; dead stock is unsold after ${Sellers.DEAD_DAYS} days.</div></div>
+        <div class="modal-row"><label>Sort by</label>
+          <select id="srSort">${Object.entries(SORTS)
+                    .map(([k, [label]]) => `<option value="${k}">${label}</option>`)
+                    .join("")}</select>
+        </div>
+        <div class="modal-row" id="srTable" style="overflow:auto;max-height:60vh;"></div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="closeSR">Close</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#closeSR").onclick = close;
+
+            const sortEl = card.querySelector("#srSort");
+            const draw = () => {
+                const key = SORTS[sortEl.value][1];
+                const rows = [...scores].sort((a, b) => key(a) - key(b) || a.name.localeCompare(b.name));
+                card.querySelector("#srTable").innerHTML = rows.length
+                    ? `<table class="pnl-table">
+            <thead><tr>
+              <th>Seller</th><th>Bought</th><th>Sold</th><th>Sell-through</th><th>Revenue</th>
+              <th>Profit</th><th>Margin</th><th>ROI</th><th>Avg days</th><th>Dead stock</th><th>Unsold cost</th>
+            </tr></thead>
+            <tbody>
+              ${rows
+                        .map(
+                            (r) => `<tr>
+                <td>${Util.esc(r.name)}</td>
+                <td>${r.bought}</td>
+                <td>${r.sold}</td>
+                <td>${Sellers.pct(r.sellThrough)}</td>
+                <td>${Util.fmtMoney(r.revenue)}</td>
+                <td class="${r.profit >= 0 ? "amount-pos" : "amount-neg"}">${Util.fmtSigned(r.profit)}${r.unknown ? ` <span class="meta" title="Sold cards with no cost on record">⚠ ${r.unknown}</span>` : ""}</td>
+                <td>${Sellers.pct(r.margin)}</td>
+                <td>${Sellers.pct(r.roi)}</td>
+                <td>${r.avgDays == null ? "—" : r.avgDays.toFixed(1)}</td>
+                <td>${r.dead || ""}</td>
+                <td>${Util.fmtMoney(r.heldCost)}</td>
+              </tr>`
+                        )
+                        .join("")}
+            </tbody>
+          </table>`
+                    : `<div class="meta">No cards bought yet.</div>`;
+            };
+            sortEl.onchange = draw;
+            draw();
+        }
+
         async function showManageSellersModal() {
             const sellersSet = new Set(await Storage.load(KEYS.SELLERS));
             const veil = document.createElement("div");
@@ -1455,6 +5445,13 @@ const TWX = (() => {
                         if ((i.seller || "") === name) i.seller = nn;
                     });
                     await Storage.save(KEYS.FORSALE, fs);
+                    // keep sold history under the new name so the scorecard follows
+                    const sold = await Storage.load(KEYS.SOLD);
+                    if (sold.some((i) => (i.seller || "") === name))
+                        await Storage.save(
+                            KEYS.SOLD,
+                            sold.map((i) => ((i.seller || "") === name ? { ...i, seller: nn } : i))
+                        );
                     if (Storage.localGet(KEYS.SELLER_LAST) === name)
                         Storage.localSet(KEYS.SELLER_LAST, nn);
                     renderList();
@@ -1484,6 +5481,15 @@ const TWX = (() => {
                             i.seller = reassignTo ? reassignTo : "";
                     });
                     await Storage.save(KEYS.FORSALE, fs);
+                    // sold history follows, as with a rename
+                    const sold = await Storage.load(KEYS.SOLD);
+                    if (sold.some((i) => (i.seller || "") === name))
+                        await Storage.save(
+                            KEYS.SOLD,
+                            sold.map((i) =>
+                                (i.seller || "") === name ? { ...i, seller: reassignTo || "" } : i
+                            )
+                        );
                     sellersSet.delete(name);
                     await Storage.save(KEYS.SELLERS, Array.from(sellersSet));
                     if (Storage.localGet(KEYS.SELLER_LAST) === name)
@@ -1499,11 +5505,21 @@ const TWX = (() => {
             if (!container) return;
 
             injectShipInField();
+            await injectCurrencyField();
+            await injectAccountField();
+            FX.installButton();
+            injectLotButton();
+            ItemDetails.installSearch(container, renderBought);
+            selection = Bulk.create(container, bulkActions(), renderBought);
 
             const sellerSelect = document.getElementById("b_seller_select");
             await populateSellerSelect(sellerSelect);
 
             bindEvents();
+            Sync.watch([KEYS.BOUGHT, KEYS.LOTS, KEYS.FORSALE, KEYS.SOLD, KEYS.SHIPMENTS], renderBought);
+            Sync.watch([KEYS.SELLERS, KEYS.BOUGHT], () => populateSellerSelect(sellerSelect));
+            Sync.watch([KEYS.ACCOUNTS], injectAccountField);
+            Sync.watch([KEYS.FX_RATES], injectCurrencyField);
             await renderBought();
         }
 
@@ -1514,7 +5530,7 @@ const TWX = (() => {
        FOR SALE PAGE (forsale.html)
     ========================================= */
     const ForSale = (() => {
-        let grid, buyerSelect, manageBuyersBtn, tabsBar, priceInput, fileInput;
+        let grid, buyerSelect, manageBuyersBtn, tabsBar, priceInput, fileInput, selection;
 
         async function getBuyers() {
             const set = new Set(await Storage.load(KEYS.BUYERS));
@@ -1566,6 +5582,18 @@ const TWX = (() => {
                 manageBuyersBtn.dataset.bound = "1";
                 manageBuyersBtn.addEventListener("click", showManageBuyersModal);
             }
+            const profileBtn = document.getElementById("buyerProfileBtn");
+            if (profileBtn && !profileBtn.dataset.bound) {
+                profileBtn.dataset.bound = "1";
+                profileBtn.addEventListener("click", () => {
+                    const buyer = buyerSelect?.value;
+                    if (!buyer || buyer === "__new__") {
+                        alert("Pick a buyer first.");
+                        return;
+                    }
+                    BuyerProfile.open(buyer);
+                });
+            }
             buyerSelect?.addEventListener("change", chooseBuyerFlow);
         }
 
@@ -1639,28 +5667,442 @@ const TWX = (() => {
                         if ((i.buyer || "") === name) i.buyer = nn;
                     });
                     await Storage.save(KEYS.FORSALE, fs);
+                    await Payments.renameBuyer(name, nn);
+                    await Shipments.renameBuyer(name, nn);
+                    await BuyerProfile.renameBuyer(name, nn);
+                    await Reminders.renameBuyer(name, nn);
 
                     if (Storage.localGet(KEYS.BUYER_LAST) === name)
                         Storage.localSet(KEYS.BUYER_LAST, nn);
 
-                    render();
-                    alert("Buyer renamed.");
-                }
-                if (act === "delete") {
-                    if (
-                        !confirm(
-                            `Delete buyer "${name}" from list?\nExisting SOLD/FS entries will keep the name.`
-                        )
-                    )
-                        return;
-                    buyersSet.delete(name);
-                    await Storage.save(KEYS.BUYERS, Array.from(buyersSet));
-                    if (Storage.localGet(KEYS.BUYER_LAST) === name)
-                        Storage.localDel(KEYS.BUYER_LAST);
-                    render();
-                    alert("Buyer removed.");
-                }
-            };
+                    render();
+                    alert("Buyer renamed.");
+                }
+                if (act === "delete") {
+                    if (
+                        !confirm(
+                            `Delete buyer "${name}" from list?\nExisting SOLD/FS entries will keep the name.`
+                        )
+                    )
+                        return;
+                    buyersSet.delete(name);
+                    await Storage.save(KEYS.BUYERS, Array.from(buyersSet));
+                    if (Storage.localGet(KEYS.BUYER_LAST) === name)
+                        Storage.localDel(KEYS.BUYER_LAST);
+                    render();
+                    alert("Buyer removed.");
+                }
+            };
+        }
+
+        // For Sale listing → Inventory record, restoring the split cost fields
+        // (listings carry buy = buy + ship-in, see Inventory's toListing)
+        function toBought(listing) {
+            const ship = Number(listing.ship_in || 0);
+            return {
+                id: listing.id,
+                seller: listing.seller || "",
+                name: listing.name || "Card",
+                buy: Math.max(0, Number(listing.buy || 0) - ship),
+                ship,
+                sell: Number(listing.price || 0),
+                image: listing.image,
+                ...(listing.lotId ? { lotId: listing.lotId } : {}),
+                ...(listing.fx ? { fx: listing.fx } : {}),
+                createdAt: listing.boughtAt || listing.createdAt || Date.now(),
+            };
+        }
+
+        /* -------- aging markdowns -------- */
+        const DAY = 86400000;
+        const daysListed = (it, now = Date.now()) =>
+            Math.max(0, Math.floor((now - (it.listedAt || it.createdAt || now)) / DAY));
+        const ruleLabel = (r) => `${r.afterDays}d −${r.dropPct}%`;
+
+        async function loadRules() {
+            return (await Storage.load(KEYS.MARKDOWN_RULES)).sort((a, b) => a.afterDays - b.afterDays);
+        }
+
+        // Rules a listing has reached but not had yet (each rule fires once)
+        function dueRules(it, rules, now) {
+            const done = new Set(it.markdowns || []);
+            const d = daysListed(it, now);
+            return rules.filter((r) => !done.has(r.id) && d >= r.afterDays);
+        }
+
+        function nextRule(it, rules, now) {
+            const done = new Set(it.markdowns || []);
+            const d = daysListed(it, now);
+            const r = rules.find((x) => !done.has(x.id) && x.afterDays > d);
+            return r ? { rule: r, inDays: r.afterDays - d } : null;
+        }
+
+        // Price after the given rules; never below cost (buy + ship-in), never up
+        function markdownPrice(it, rules) {
+            const current = Number(it.price || 0);
+            let price = current;
+            rules.forEach((r) => {
+                let next = price * (1 - r.dropPct / 100);
+                next = r.round5 ? Bulk.roundTo5(next) : Math.round(next * 100) / 100;
+                price = Math.max(Number(it.buy || 0), next);
+            });
+            return Math.min(price, current);
+        }
+
+        function markdownPlan(items, rules, now = Date.now()) {
+            return items
+                .filter((it) => !isHeld(it, now)) // a promised price stays put
+                .map((it) => {
+                    const due = dueRules(it, rules, now);
+                    return due.length ? { it, due, price: markdownPrice(it, due) } : null;
+                })
+                .filter(Boolean);
+        }
+
+        async function applyMarkdowns(plan) {
+            for (const { it, due: planned } of plan) {
+                const item = await Storage.get(KEYS.FORSALE, it.id);
+                if (!item || isHeld(item)) continue;
+                // recompute from the stored price: it may have been repriced
+                // (or marked down in another tab) since the preview opened
+                const done = new Set(item.markdowns || []);
+                const due = planned.filter((r) => !done.has(r.id));
+                if (!due.length) continue;
+                const price = markdownPrice(item, due);
+                const changed = price !== Number(item.price || 0);
+                item.price = price;
+                item.markdowns = [...(item.markdowns || []), ...due.map((r) => r.id)];
+                await Storage.put(KEYS.FORSALE, item);
+                if (changed)
+                    await Audit.log("repriced", item, { price, rule: due.map(ruleLabel).join(", ") }, KEYS.FORSALE);
+            }
+        }
+
+        async function showRulesModal() {
+            let rules = await loadRules();
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "520px";
+            card.innerHTML = `
+        <h3>Markdown rules</h3>
+        <div class="modal-row"><div class="meta">
+          Each rule fires once per listing when it has been listed that many days.
+          Prices never drop below cost (buy + ship-in).
+        </div></div>
+        <div class="modal-row">
+          <div id="ruleList" style="display:flex;flex-direction:column;gap:8px;max-height:300px;overflow:auto;"></div>
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="addRule">➕ Add rule</button>
+          <button class="btn secondary" id="cancelRules">Cancel</button>
+          <button class="btn primary" id="saveRules">Save</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#cancelRules").onclick = close;
+            const list = card.querySelector("#ruleList");
+
+            const read = () =>
+                Array.from(list.querySelectorAll("[data-rule]")).map((row) => ({
+                    id: row.dataset.rule,
+                    afterDays: parseInt(row.querySelector(".r-days").value, 10),
+                    dropPct: parseFloat(row.querySelector(".r-pct").value),
+                    round5: row.querySelector(".r-round").checked,
+                }));
+
+            function renderRules() {
+                list.innerHTML = rules.length
+                    ? rules
+                        .map(
+                            (r) => `
+              <div data-rule="${r.id}" style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+                After <input class="r-days" type="number" min="0" step="1" value="${r.afterDays}" style="width:70px" /> days
+                drop <input class="r-pct" type="number" min="0" max="99" step="0.5" value="${r.dropPct}" style="width:70px" /> %
+                <label style="display:inline-flex;gap:4px;align-items:center;">
+                  <input class="r-round" type="checkbox" ${r.round5 ? "checked" : ""} /> round to ₱5
+                </label>
+                <button class="small-btn r-del" title="Remove rule">🗑️</button>
+              </div>`
+                        )
+                        .join("")
+                    : `<div class="meta">No rules yet — e.g. after 14 days drop 10%.</div>`;
+            }
+            renderRules();
+
+            list.onclick = (e) => {
+                const del = e.target.closest(".r-del");
+                if (!del) return;
+                const id = del.closest("[data-rule]").dataset.rule;
+                rules = read().filter((r) => r.id !== id);
+                renderRules();
+            };
+            card.querySelector("#addRule").onclick = () => {
+                const last = read().at(-1);
+                rules = [
+                    ...read(),
+                    { id: Util.uid(), afterDays: last ? last.afterDays + 14 : 14, dropPct: 10, round5: true },
+                ];
+                renderRules();
+            };
+            card.querySelector("#saveRules").onclick = async () => {
+                const next = read();
+                if (next.some((r) => isNaN(r.afterDays) || r.afterDays < 0 || isNaN(r.dropPct) || r.dropPct <= 0 || r.dropPct >= 100)) {
+                    alert("Each rule needs 0 or more days and a drop between 0 and 100%.");
+                    return;
+                }
+                await Storage.save(KEYS.MARKDOWN_RULES, next);
+                close();
+                await renderGrid();
+            };
+        }
+
+        async function showMarkdownPreview() {
+            const plan = markdownPlan(await Storage.load(KEYS.FORSALE), await loadRules());
+            const changes = plan.filter((p) => p.price !== Number(p.it.price || 0));
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "560px";
+            card.innerHTML = `
+        <h3>Pending markdowns</h3>
+        <div class="modal-row">
+          <div style="display:flex;flex-direction:column;gap:6px;max-height:340px;overflow:auto;">
+            ${plan.length
+                    ? plan
+                        .map(
+                            ({ it, due, price }) => `
+              <div style="display:flex;gap:8px;justify-content:space-between;">
+                <span>${Util.esc(it.name)} <span class="meta">• ${daysListed(it)} day(s) • ${due
+                                    .map(ruleLabel)
+                                    .join(", ")}</span></span>
+                <span>${price === Number(it.price || 0)
+                                    ? `<span class="meta">${Util.fmtMoney(price)} (at cost floor)</span>`
+                                    : `${Util.fmtMoney(it.price)} → <strong>${Util.fmtMoney(price)}</strong>`
+                                }</span>
+              </div>`
+                        )
+                        .join("")
+                    : `<div class="meta">Nothing is due for a markdown.</div>`}
+          </div>
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="closeMd">Close</button>
+          ${plan.length ? `<button class="btn primary" id="applyMd">Apply ${changes.length} price change(s)</button>` : ""}
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#closeMd").onclick = close;
+            const apply = card.querySelector("#applyMd");
+            if (apply)
+                apply.onclick = async () => {
+                    apply.disabled = true;
+                    await applyMarkdowns(plan);
+                    close();
+                    await renderGrid();
+                    Util.ariaLiveAnnounce(`Applied ${changes.length} markdown(s)`);
+                };
+        }
+
+        function ensureMarkdownBar() {
+            if (document.getElementById("fsMarkdownBar")) return;
+            const bar = document.createElement("div");
+            bar.id = "fsMarkdownBar";
+            bar.style.cssText = "display:flex;gap:8px;flex-wrap:wrap;margin:0 6px 8px 6px;";
+            bar.innerHTML = `
+          <button class="btn secondary" id="btnMarkdownRules">⏱ Markdown rules</button>
+          <button class="btn secondary" id="btnMarkdownPreview">Preview markdowns</button>`;
+            tabsBar.parentElement.insertBefore(bar, tabsBar);
+            bar.querySelector("#btnMarkdownRules").onclick = showRulesModal;
+            bar.querySelector("#btnMarkdownPreview").onclick = showMarkdownPreview;
+        }
+
+        /* -------- reserved ("mined") holds -------- */
+        const isHeld = (it, now = Date.now()) => !!it.hold && it.hold.until > now;
+
+        function timeLeft(ms) {
+            const m = Math.max(0, Math.round(ms / 60000));
+            if (m >= 1440) return `${Math.floor(m / 1440)}d ${Math.floor((m % 1440) / 60)}h`;
+            return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+        }
+
+        async function reserve(ids, buyer, hours) {
+            const at = Date.now();
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.FORSALE, id);
+                if (!item || isHeld(item, at)) continue;
+                item.hold = { buyer, at, until: at + hours * 3600000 };
+                await Storage.put(KEYS.FORSALE, item);
+                await Audit.log("reserved", item, { buyer, until: item.hold.until }, KEYS.FORSALE);
+            }
+        }
+
+        async function release(ids, reason = "released") {
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.FORSALE, id);
+                if (!item?.hold) continue;
+                const { buyer } = item.hold;
+                delete item.hold;
+                await Storage.put(KEYS.FORSALE, item);
+                await Audit.log("released", item, { buyer, reason }, KEYS.FORSALE);
+            }
+        }
+
+        // Expired holds go back on the shelf; true when anything changed.
+        // Runs on load and on a timer, so it stays out of the undo journal.
+        async function releaseExpired() {
+            const now = Date.now();
+            const expired = (await Storage.load(KEYS.FORSALE)).filter((it) => it.hold && it.hold.until <= now);
+            if (expired.length)
+                await History.untracked(() => release(expired.map((it) => it.id), "expired"));
+            return expired.length > 0;
+        }
+
+        async function askReserve(ids) {
+            const buyer = await resolveBuyer();
+            const hours = parseFloat(prompt(`Hold ${ids.length} card(s) for ${buyer} — how many hours?`, "24"));
+            if (isNaN(hours) || hours <= 0) return false;
+            await reserve(ids, buyer, hours);
+        }
+
+        // Buyer from the selector; asks for a name when none is picked
+        async function resolveBuyer() {
+            let buyer = buyerSelect ? buyerSelect.value : "";
+            if (buyer === "__new__") {
+                buyer = (await chooseBuyerFlow()) || "";
+            }
+            if (!buyer) {
+                buyer = prompt("Buyer name:")?.trim() || "Unknown";
+                if (buyer && buyer !== "Unknown") {
+                    await addBuyer(buyer);
+                    await populateBuyerSelect();
+                    if (buyerSelect) buyerSelect.value = buyer;
+                    Storage.localSet(KEYS.BUYER_LAST, buyer);
+                }
+            }
+            return buyer || "Unknown";
+        }
+
+        async function sellTo(ids, buyer) {
+            let skipped = 0;
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.FORSALE, id);
+                if (!item) continue;
+                // a card held for someone else can only go to that buyer
+                if (isHeld(item) && item.hold.buyer !== buyer) {
+                    skipped++;
+                    continue;
+                }
+                delete item.hold;
+                item.buyer = buyer;
+                item.soldAt = Date.now();
+                item.status = "Pending";
+                await Storage.remove(KEYS.FORSALE, item.id);
+                await Storage.put(KEYS.SOLD, item);
+                await Audit.log(
+                    "sold",
+                    item,
+                    { buyer: item.buyer, price: Number(item.price || 0) },
+                    KEYS.SOLD
+                );
+            }
+            await Payments.settle(buyer); // apply any credit the buyer has
+            if (skipped) alert(`${skipped} card(s) are reserved for another buyer and were skipped.`);
+        }
+
+        async function removeListings(ids) {
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.FORSALE, id);
+                if (!item) continue;
+                await Storage.remove(KEYS.FORSALE, item.id);
+                await Audit.log("deleted", item, {}, KEYS.FORSALE);
+            }
+        }
+
+        // Reserved cards are locked: bulk actions other than selling skip them
+        async function skipHeld(ids) {
+            const free = [];
+            let held = 0;
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.FORSALE, id);
+                if (!item) continue;
+                if (isHeld(item)) held++;
+                else free.push(id);
+            }
+            if (held) alert(`${held} card(s) are reserved for a buyer and were skipped.`);
+            return free;
+        }
+
+        function bulkActions() {
+            return [
+                {
+                    label: "Sell to buyer",
+                    run: async (ids) => {
+                        const buyer = await resolveBuyer();
+                        if (!confirm(`Mark ${ids.length} card(s) as sold to ${buyer}?`)) return false;
+                        await sellTo(ids, buyer);
+                    },
+                },
+                { label: "🔒 Reserve", run: askReserve },
+                {
+                    label: "Return to Inventory",
+                    run: async (ids) => {
+                        ids = await skipHeld(ids);
+                        if (!ids.length) return false;
+                        if (!confirm(`Return ${ids.length} card(s) to Inventory?`)) return false;
+                        await returnToInventory(ids);
+                    },
+                },
+                {
+                    label: "Reprice",
+                    run: async (ids) => {
+                        ids = await skipHeld(ids);
+                        if (!ids.length) return false;
+                        const priceOf = await Bulk.askReprice(ids.length);
+                        if (!priceOf) return false;
+                        for (const id of ids) {
+                            const item = await Storage.get(KEYS.FORSALE, id);
+                            if (!item) continue;
+                            const price = priceOf(item.price);
+                            if (price === Number(item.price || 0)) continue;
+                            item.price = price;
+                            await Storage.put(KEYS.FORSALE, item);
+                            await Audit.log("repriced", item, { price }, KEYS.FORSALE);
+                        }
+                    },
+                },
+                {
+                    label: "🗑️ Delete",
+                    run: async (ids) => {
+                        ids = await skipHeld(ids);
+                        if (!ids.length) return false;
+                        if (!confirm(`Delete ${ids.length} listing(s)?`)) return false;
+                        await removeListings(ids);
+                    },
+                },
+            ];
+        }
+
+        async function returnToInventory(ids) {
+            let moved = 0;
+            for (const id of ids) {
+                const listing = await Storage.get(KEYS.FORSALE, id);
+                if (!listing) continue;
+                const item = toBought(listing);
+                await Storage.remove(KEYS.FORSALE, id);
+                await Storage.put(KEYS.BOUGHT, item);
+                await Audit.log("unlisted", item, {}, KEYS.BOUGHT);
+                moved++;
+            }
+            return moved;
         }
 
         let activeSeller = "__ALL__";
@@ -1670,6 +6112,14 @@ const TWX = (() => {
             const sumForSaleValEl = document.getElementById("sumForSaleValue");
 
             const items = await Storage.load(KEYS.FORSALE);
+            await Images.resolve(items);
+            const rules = await loadRules();
+            const now = Date.now();
+            const previewBtn = document.getElementById("btnMarkdownPreview");
+            if (previewBtn) {
+                const due = markdownPlan(items, rules, now).filter((p) => p.price !== Number(p.it.price || 0));
+                previewBtn.textContent = due.length ? `Preview markdowns (${due.length})` : "Preview markdowns";
+            }
             const sellers = Array.from(
                 new Set(items.map((i) => i.seller || "(No seller)"))
             ).sort((a, b) => a.localeCompare(b));
@@ -1691,10 +6141,11 @@ const TWX = (() => {
             tabsBar.appendChild(mkTab("All", "__ALL__"));
             sellers.forEach((s) => tabsBar.appendChild(mkTab(s, s)));
 
-            const view =
+            const view = (
                 activeSeller === "__ALL__"
                     ? items
-                    : items.filter((i) => (i.seller || "(No seller)") === activeSeller);
+                    : items.filter((i) => (i.seller || "(No seller)") === activeSeller)
+            ).filter(ItemDetails.matches);
 
             if (sumForSaleEl) sumForSaleEl.textContent = items.length;
             if (sumForSaleValEl)
@@ -1702,6 +6153,8 @@ const TWX = (() => {
                     items.reduce((a, b) => a + Number(b.price || 0), 0)
                 );
 
+            const heldCount = items.filter((i) => isHeld(i, now)).length;
+
             // info bar (potential profit + active buyer)
             let infoBar = document.getElementById("fsInfoBar");
             if (!infoBar) {
@@ -1718,7 +6171,7 @@ const TWX = (() => {
                 );
                 infoBar.textContent = `Overall potential profit: ${Util.fmtMoney(
                     pot
-                )} • Buyer: ${buyerName}`;
+                )} • Buyer: ${buyerName}${heldCount ? ` • Reserved: ${heldCount}` : ""}`;
             } else {
                 const pot = view.reduce(
                     (s, i) => s + (Number(i.price || 0) - Number(i.buy || 0)),
@@ -1732,22 +6185,51 @@ const TWX = (() => {
             const frag = document.createDocumentFragment();
             view.forEach((it) => {
                 const d = document.createElement("div");
-                d.className = "card panel";
+                const held = isHeld(it, now);
+                d.className = "card panel" + (held ? " reserved" : "");
+                d.dataset.id = it.id;
                 const pot = Number(it.price || 0) - Number(it.buy || 0);
+                const due = dueRules(it, rules, now);
+                const next = nextRule(it, rules, now);
+                const dropTo = due.length ? markdownPrice(it, due) : null;
+                const markdown = due.length
+                    ? dropTo < Number(it.price || 0)
+                        ? ` • <strong>Markdown due → ${Util.fmtMoney(dropTo)}</strong>`
+                        : " • At cost floor"
+                    : next
+                        ? ` • Next: −${next.rule.dropPct}% in ${next.inDays} day(s)`
+                        : "";
                 d.innerHTML = `
+          ${selection.box(it.id)}
           <div class="img-wrap">
-            <img src="${it.image}" alt="${Util.esc(it.name)}">
+            <img src="${Images.src(it.image)}" alt="${Util.esc(it.name)}">
             <div class="price-badge">${Util.fmtMoney(it.price)}</div>
           </div>
           <div class="info">
             <div class="title">${Util.esc(it.name)}</div>
+            ${it.hold
+                        ? `<div class="hold-badge${held ? "" : " expired"}">🔒 ${Util.esc(it.hold.buyer)} • ${held ? "expires in " + timeLeft(it.hold.until - now) : "hold expired"
+                        }</div>`
+                        : ""}
+            ${ItemDetails.metaHTML(it)}
             <div class="meta">Seller: ${Util.esc(it.seller || "(No seller)")}</div>
-            <div class="meta">Buy: ${Util.fmtMoney(
-                    it.buy || 0
-                )} • Pot: <strong>${(pot >= 0 ? "+" : "") + Util.fmtMoney(pot)}</strong></div>
+            <div class="meta">${Profit.unknownCost(it)
+                    ? `<span class="amount-neg" title="No buy price on record — edit the item to add it">⚠ Unknown cost</span>`
+                    : `Buy: ${Util.fmtMoney(it.buy)} • Pot: <strong>${(pot >= 0 ? "+" : "") + Util.fmtMoney(pot)}</strong>`
+                }</div>
+            ${FX.line(it)}
+            <div class="meta">Listed ${daysListed(it, now)} day(s)${markdown}</div>
             <div class="card-actions">
-              <button class="small-btn mark-sold" data-id="${it.id}">Sold</button>
-              <button class="small-btn delete-item" data-id="${it.id}">🗑️</button>
+              ${held
+                        ? `<button class="small-btn confirm-hold" data-id="${it.id}">Confirm</button>
+              <button class="small-btn release-hold" data-id="${it.id}">Release</button>
+              <button class="small-btn edit-item" data-id="${it.id}" title="Edit details">✏️</button>`
+                        : `<button class="small-btn mark-sold" data-id="${it.id}">Sold</button>
+              <button class="small-btn reserve-item" data-id="${it.id}" title="Reserve for a buyer">🔒</button>
+              <button class="small-btn edit-item" data-id="${it.id}" title="Edit details">✏️</button>
+              <button class="small-btn return-inventory" data-id="${it.id}" title="Return to Inventory">↩</button>
+              <button class="small-btn delete-item" data-id="${it.id}">🗑️</button>`
+                    }
             </div>
           </div>`;
                 frag.appendChild(d);
@@ -1756,6 +6238,7 @@ const TWX = (() => {
             Util.rafBatch(() => {
                 grid.innerHTML = "";
                 grid.appendChild(frag);
+                selection.sync();
             });
         }
 
@@ -1764,7 +6247,14 @@ const TWX = (() => {
             grid.addEventListener("click", (e) => {
                 const img = e.target.closest(".img-wrap img");
                 if (img) {
-                    UI.openImageModal(img.src, img.alt);
+                    UI.openImageModal(img.src, img.alt, img.closest(".card")?.dataset.id);
+                    return;
+                }
+
+                const editBtn = e.target.closest(".edit-item");
+                if (editBtn) {
+                    e.preventDefault();
+                    ItemDetails.edit(KEYS.FORSALE, editBtn.dataset.id).then((saved) => saved && renderGrid());
                     return;
                 }
 
@@ -1772,11 +6262,53 @@ const TWX = (() => {
                 if (delBtn) {
                     e.preventDefault();
                     (async () => {
-                        const id = delBtn.dataset.id;
-                        const arr = (await Storage.load(KEYS.FORSALE)).filter(
-                            (x) => x.id !== id
-                        );
-                        await Storage.save(KEYS.FORSALE, arr);
+                        await removeListings([delBtn.dataset.id]);
+                        await renderGrid();
+                    })();
+                    return;
+                }
+
+                const backBtn = e.target.closest(".return-inventory");
+                if (backBtn) {
+                    e.preventDefault();
+                    (async () => {
+                        if (!confirm("Return this card to Inventory?")) return;
+                        await returnToInventory([backBtn.dataset.id]);
+                        await renderGrid();
+                        Util.ariaLiveAnnounce("Returned item to Inventory");
+                    })();
+                    return;
+                }
+
+                const reserveBtn = e.target.closest(".reserve-item");
+                if (reserveBtn) {
+                    e.preventDefault();
+                    (async () => {
+                        if ((await askReserve([reserveBtn.dataset.id])) === false) return;
+                        await renderGrid();
+                    })();
+                    return;
+                }
+
+                const confirmBtn = e.target.closest(".confirm-hold");
+                if (confirmBtn) {
+                    e.preventDefault();
+                    (async () => {
+                        const item = await Storage.get(KEYS.FORSALE, confirmBtn.dataset.id);
+                        if (!item?.hold) return;
+                        if (!confirm(`Confirm the sale of "${item.name}" to ${item.hold.buyer}?`)) return;
+                        await sellTo([item.id], item.hold.buyer);
+                        await renderGrid();
+                        Util.ariaLiveAnnounce(`Sold to ${item.hold.buyer}`);
+                    })();
+                    return;
+                }
+
+                const releaseBtn = e.target.closest(".release-hold");
+                if (releaseBtn) {
+                    e.preventDefault();
+                    (async () => {
+                        await release([releaseBtn.dataset.id]);
                         await renderGrid();
                     })();
                     return;
@@ -1786,30 +6318,7 @@ const TWX = (() => {
                 if (soldBtn) {
                     e.preventDefault();
                     (async () => {
-                        let buyer = buyerSelect ? buyerSelect.value : "";
-                        if (buyer === "__new__") {
-                            buyer = (await chooseBuyerFlow()) || "";
-                        }
-                        if (!buyer) {
-                            buyer = prompt("Buyer name:")?.trim() || "Unknown";
-                            if (buyer && buyer !== "Unknown") {
-                                await addBuyer(buyer);
-                                await populateBuyerSelect();
-                                if (buyerSelect) buyerSelect.value = buyer;
-                                Storage.localSet(KEYS.BUYER_LAST, buyer);
-                            }
-                        }
-                        const fs = await Storage.load(KEYS.FORSALE);
-                        const i = fs.findIndex((x) => x.id === soldBtn.dataset.id);
-                        if (i === -1) return;
-                        const item = fs.splice(i, 1)[0];
-                        item.buyer = buyer || "Unknown";
-                        item.soldAt = Date.now();
-                        item.status = "Pending";
-                        await Storage.save(KEYS.FORSALE, fs);
-                        const sold = await Storage.load(KEYS.SOLD);
-                        sold.unshift(item);
-                        await Storage.save(KEYS.SOLD, sold);
+                        await sellTo([soldBtn.dataset.id], await resolveBuyer());
                         await renderGrid();
                     })();
                     return;
@@ -1829,21 +6338,24 @@ const TWX = (() => {
                 try {
                     imgUrl = await SupaStore.uploadCardImage(file);
                 } catch (err) {
-                    console.warn("Image upload failed; falling back to local dataURL", err);
-                    imgUrl = await Img.compress(file, 1000, 0.7);
+                    console.warn("Image upload failed; falling back to local image store", err);
+                    imgUrl = await Images.fromFile(file);
                 }
 
-                const arr = await Storage.load(KEYS.FORSALE);
-                arr.unshift({
+                const listing = {
                     id: Util.uid(),
                     name: Util.deriveNameFromFile(file),
                     price,
-                    image: imgUrl,   // <-- Supabase URL
+                    image: imgUrl,   // Supabase URL or local "twx-img:" ref
                     buy: 0,
+                    ship_in: 0,
                     seller: "",
-                });
+                    createdAt: Date.now(),
+                    listedAt: Date.now(),
+                };
+                await Storage.put(KEYS.FORSALE, listing);
+                await Audit.log("listed", listing, { price }, KEYS.FORSALE);
 
-                await Storage.save(KEYS.FORSALE, arr);
                 priceInput.value = "";
                 fileInput.value = "";
                 await renderGrid();
@@ -1866,19 +6378,548 @@ const TWX = (() => {
             tabsBar.style.cssText =
                 "display:flex;gap:8px;flex-wrap:wrap;margin:8px 6px 14px 6px;";
             grid.parentElement.insertBefore(tabsBar, grid);
+            ensureMarkdownBar();
+            ItemDetails.installSearch(tabsBar, renderGrid);
+            selection = Bulk.create(grid, bulkActions(), renderGrid);
 
             bindEvents();
+            Sync.watch([KEYS.FORSALE, KEYS.MARKDOWN_RULES], renderGrid);
+            await releaseExpired();
+            // holds run out while the page sits open
+            setInterval(async () => {
+                if (await releaseExpired()) await renderGrid();
+            }, 60000);
+            Sync.watch([KEYS.BUYERS, KEYS.SOLD], populateBuyerSelect);
             await renderGrid();
         }
 
-        return { init };
+        return { init, renderGrid, returnToInventory };
     })();
 
     /* =========================================
        SOLD PAGE (sold.html)
     ========================================= */
     const Sold = (() => {
-        let container;
+        let container, selection;
+
+        // Sold item → For Sale listing (buyer backed out). Sales already posted
+        // through "Add to Cash" get an optional refund entry so Cash stays right.
+        async function returnToForSale(ids) {
+            const cash = await Storage.load(KEYS.CASH);
+            const refunds = [];
+            // what each buyer paid toward each card, before any card leaves
+            const summaries = {};
+            const items = [];
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.SOLD, id);
+                if (!item) continue;
+                items.push(item);
+                summaries[item.buyer] ||= await Payments.summary(item.buyer);
+            }
+            for (const item of items) {
+                const { buyer, soldAt, status, ...rest } = item;
+                // back on the shelf: the aging clock and markdown rules start over
+                const listing = { ...rest, listedAt: Date.now(), markdowns: [] };
+                // only money that reached Cash can be refunded from it
+                const linked = cash.filter((c) => Array.isArray(c.soldIds) && c.soldIds.includes(item.id));
+                const posted = linked.filter((c) => !c.refundOf);
+                const inCash =
+                    posted.reduce((s, c) => s + Number(c.amount || 0), 0) +
+                    linked.filter((c) => c.refundOf).reduce((s, c) => s + Number(c.amount || 0), 0);
+                const amount = Math.min(summaries[buyer].byItem[item.id]?.paid || 0, inCash);
+                if (amount > 0) refunds.push({ item, amount, from: posted[posted.length - 1] });
+                await Storage.remove(KEYS.SOLD, item.id);
+                await Storage.put(KEYS.FORSALE, listing);
+                await Audit.log("unsold", listing, { buyer }, KEYS.FORSALE);
+            }
+            if (refunds.length) {
+                const total = refunds.reduce((s, r) => s + r.amount, 0);
+                const ok = confirm(
+                    `${refunds.length} of these sale(s) were already paid into Cash.\nRecord a refund of ${Util.fmtMoney(total)}?\n\nCancel keeps the money as credit for the buyer.`
+                );
+                if (ok) {
+                    // a negative payment takes the money back off the buyer's
+                    // account, so it isn't both refunded and kept as credit
+                    for (const { item, amount, from } of refunds) {
+                        const payment = await Payments.record(item.buyer, {
+                            amount: -amount,
+                            note: `Refund: ${item.name || "Card"}`,
+                        });
+                        const entries = await Storage.load(KEYS.CASH);
+                        entries.unshift({
+                            id: Util.uid(),
+                            source: from.source,
+                            amount: -amount,
+                            note: `Refund: ${item.name || "Card"} (${item.buyer})`,
+                            buyer: item.buyer,
+                            paymentId: payment.id,
+                            soldIds: [item.id],
+                            refundOf: from.id,
+                            createdAt: Date.now(),
+                        });
+                        await Storage.save(KEYS.CASH, entries);
+                    }
+                }
+            }
+            // their payments now count toward the buyers' other items
+            for (const buyer of Object.keys(summaries)) await Payments.settle(buyer);
+            return items.length;
+        }
+
+        // One payment per buyer covering the open balance of the given items
+        async function markPaid(ids) {
+            const byBuyer = {};
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.SOLD, id);
+                if (item) (byBuyer[item.buyer] ||= []).push(item.id);
+            }
+            for (const buyer of Object.keys(byBuyer)) {
+                const s = await Payments.summary(buyer);
+                const open = byBuyer[buyer].filter((id) => s.byItem[id]?.balance > 0);
+                const amount = open.reduce((sum, id) => sum + s.byItem[id].balance, 0);
+                if (amount > 0) await Payments.record(buyer, { amount, note: "Mark Paid", itemIds: open });
+            }
+        }
+
+        async function assignBuyer(ids, buyer) {
+            const touched = new Set([buyer]);
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.SOLD, id);
+                if (!item || item.buyer === buyer) continue;
+                touched.add(item.buyer);
+                await Storage.put(KEYS.SOLD, { ...item, buyer });
+                await Audit.log("edited", item, { fields: ["buyer"] }, KEYS.SOLD);
+            }
+            const list = new Set(await Storage.load(KEYS.BUYERS));
+            if (buyer !== "Unknown" && !list.has(buyer))
+                await Storage.save(KEYS.BUYERS, [...list, buyer]);
+            for (const b of touched) await Payments.settle(b);
+        }
+
+        async function removeSold(ids) {
+            const touched = new Set();
+            for (const id of ids) {
+                const item = await Storage.get(KEYS.SOLD, id);
+                if (!item) continue;
+                await Storage.remove(KEYS.SOLD, id);
+                await Audit.log("deleted", item, {}, KEYS.SOLD);
+                touched.add(item.buyer);
+            }
+            for (const b of touched) await Payments.settle(b);
+        }
+
+        function bulkActions() {
+            return [
+                { label: "Mark paid", run: (ids) => markPaid(ids) },
+                {
+                    label: "Assign buyer",
+                    run: async (ids) => {
+                        const buyer = prompt(`Buyer for ${ids.length} card(s):`)?.trim();
+                        if (!buyer) return false;
+                        await assignBuyer(ids, buyer);
+                    },
+                },
+                {
+                    label: "Return to For Sale",
+                    run: async (ids) => {
+                        if (!confirm(`Return ${ids.length} card(s) to For Sale? Buyer and payment status are cleared.`))
+                            return false;
+                        await returnToForSale(ids);
+                    },
+                },
+                {
+                    label: "🗑️ Delete",
+                    run: async (ids) => {
+                        if (!confirm(`Delete ${ids.length} item(s) from Sold?`)) return false;
+                        await removeSold(ids);
+                    },
+                },
+            ];
+        }
+
+        // Payment history for one buyer plus a form to record an installment
+        async function showPaymentsModal(buyer) {
+            const accountOptions = await Accounts.options();
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "520px";
+            card.innerHTML = `
+        <h3>Payments — ${Util.esc(buyer)}</h3>
+        <div class="modal-row"><div class="meta" id="payTotals"></div></div>
+        <div class="modal-row">
+          <div id="payList" style="display:flex;flex-direction:column;gap:8px;max-height:240px;overflow:auto;"></div>
+        </div>
+        <div class="modal-row"><label>Amount</label>
+          <input id="payAmt" type="number" step="0.01" min="0" />
+        </div>
+        <div class="modal-row"><label>Date</label>
+          <input id="payDate" type="date" />
+        </div>
+        <div class="modal-row"><label>Source</label>
+          <select id="paySrc">${accountOptions}</select>
+        </div>
+        <div class="modal-row"><label>Note</label>
+          <input id="payNote" type="text" placeholder="Down payment, 2nd installment…" />
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="closePay">Close</button>
+          <button class="btn primary" id="addPay">Add Payment</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => {
+                document.body.removeChild(veil);
+                render();
+            };
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#closePay").onclick = close;
+
+            const today = () => new Date().toLocaleDateString("en-CA"); // yyyy-mm-dd
+            card.querySelector("#payDate").value = today();
+
+            async function fill() {
+                const s = await Payments.summary(buyer);
+                card.querySelector("#payTotals").textContent =
+                    `Due ${Util.fmtMoney(s.due)} • Paid ${Util.fmtMoney(s.paid)} • Balance ${Util.fmtMoney(s.balance)}` +
+                    (s.credit ? ` • Credit ${Util.fmtMoney(s.credit)}` : "");
+                card.querySelector("#payAmt").value = s.balance > 0 ? s.balance.toFixed(2) : "";
+
+                const list = (await Payments.forBuyer(buyer)).sort((a, b) => b.paidAt - a.paidAt);
+                const cash = await Storage.load(KEYS.CASH);
+                const box = card.querySelector("#payList");
+                box.innerHTML = list.length
+                    ? list
+                        .map(
+                            (p) => `
+              <div style="display:flex;align-items:center;gap:8px;justify-content:space-between">
+                <div style="flex:1 1 auto">
+                  <strong>${Util.fmtMoney(p.amount)}</strong>${p.source ? ` • ${Util.esc(p.source)}` : ""}
+                  <div class="meta">${Util.fmtDate(p.paidAt)}${p.note ? ` • ${Util.esc(p.note)}` : ""} • ${Payments.isPosted(p, cash) ? "in Cash" : "not in Cash yet"
+                                }</div>
+                </div>
+                <button class="small-btn" data-id="${p.id}" title="Delete payment">🗑️</button>
+              </div>`
+                        )
+                        .join("")
+                    : `<div class="meta">No payments recorded yet.</div>`;
+            }
+            await fill();
+
+            card.querySelector("#payList").onclick = async (e) => {
+                const btn = e.target.closest("button[data-id]");
+                if (!btn) return;
+                if (!confirm("Delete this payment? Item balances are recalculated and its Cash entry is removed."))
+                    return;
+                await Payments.remove(btn.dataset.id);
+                await fill();
+            };
+
+            card.querySelector("#addPay").onclick = async () => {
+                const amount = parseFloat(card.querySelector("#payAmt").value);
+                if (isNaN(amount) || amount <= 0) {
+                    alert("Please enter a valid amount.");
+                    return;
+                }
+                const { balance } = await Payments.summary(buyer);
+                if (
+                    amount > balance &&
+                    !confirm(
+                        `This is more than the balance of ${Util.fmtMoney(balance)}.\nKeep the extra as credit for ${buyer}?`
+                    )
+                )
+                    return;
+                const day = card.querySelector("#payDate").value;
+                await Payments.record(buyer, {
+                    amount,
+                    source: card.querySelector("#paySrc").value,
+                    note: (card.querySelector("#payNote").value || "").trim(),
+                    // a back-dated payment sorts by its day; today's keeps the time
+                    paidAt: !day || day === today() ? Date.now() : new Date(day + "T00:00").getTime(),
+                });
+                card.querySelector("#payNote").value = "";
+                await fill();
+                Util.ariaLiveAnnounce("Payment recorded");
+            };
+        }
+
+        // How long the oldest unpaid item has waited, and the last follow-up
+        function ageLine(row, last) {
+            return `
+              <div class="buyer-meta">
+                ⏰ Oldest unpaid: <span class="age-badge age-${Reminders.bucketOf(row.oldest)}">${row.oldest} day(s)</span>${last ? ` • Last reminder: ${Util.fmtDate(last.at)} (${Reminders.LEVELS[last.level]})` : ""
+                }
+              </div>`;
+        }
+
+        // One parcel in the buyer header
+        function shipmentLine(p, list) {
+            const count = Shipments.itemsOf(p, list).length;
+            return `
+              <div class="buyer-meta shipment-line">
+                📦 ${Util.esc(p.courier || "No courier")}${p.tracking ? ` • TN ${Util.esc(p.tracking)}` : ""
+                } • ${Util.fmtMoney(p.fee)} • ${Util.esc(p.status || "Preparing")} • ${count} item(s) • ${Util.fmtDate(p.shippedAt || p.createdAt)}
+                <button class="small-btn edit-shipment" data-id="${p.id}" title="Edit shipment">✏️</button>
+              </div>`;
+        }
+
+        // Create (no id) or edit one of the buyer's shipments
+        async function showShipmentModal(buyer, id) {
+            const sold = await Payments.soldOf(buyer);
+            const shipments = await Storage.load(KEYS.SHIPMENTS);
+            const existing = id ? shipments.find((s) => s.id === id) : null;
+            if (id && !existing) {
+                alert("This shipment was deleted meanwhile.");
+                return;
+            }
+            const ship = existing || {
+                buyer,
+                courier: (await BuyerProfile.courierOf(buyer)) || Shipments.COURIERS[0],
+                status: "Preparing",
+                itemIds: Shipments.unshipped(buyer, sold, shipments).map((it) => it.id),
+            };
+            const inOther = new Set(
+                Shipments.ofBuyer(shipments, buyer)
+                    .filter((s) => s.id !== ship.id)
+                    .flatMap((s) => s.itemIds || [])
+            );
+            const checked = new Set(ship.itemIds || []);
+            const day = (t) => new Date(t).toLocaleDateString("en-CA"); // yyyy-mm-dd
+            const paidFrom =
+                (await Storage.load(KEYS.CASH)).find((c) => ship.id && c.shipmentId === ship.id)?.source ||
+                (await Expenses.defaultAccount());
+            const accountOptions = await Accounts.options(paidFrom);
+
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "520px";
+            card.innerHTML = `
+        <h3>${existing ? "Edit shipment" : "New shipment"} — ${Util.esc(buyer)}</h3>
+        <div class="modal-row"><label>Items</label>
+          <div id="shipItems" style="display:flex;flex-direction:column;gap:4px;max-height:200px;overflow:auto;">
+            ${sold.length
+                    ? sold
+                        .map(
+                            (it) => `<label style="display:flex;gap:8px;align-items:center;">
+              <input type="checkbox" value="${it.id}"${checked.has(it.id) ? " checked" : ""} />
+              ${Util.esc(it.name)} • ${Util.fmtMoney(it.price)}${inOther.has(it.id) ? ` <span class="meta">(in another parcel)</span>` : ""}
+            </label>`
+                        )
+                        .join("")
+                    : `<div class="meta">No Sold items for this buyer.</div>`}
+          </div>
+        </div>
+        <div class="modal-row"><label>Courier</label>
+          <input id="shipCourier" type="text" list="twxCouriers" value="${Util.esc(ship.courier || "")}" />
+          <datalist id="twxCouriers">${Shipments.COURIERS.map((c) => `<option value="${c}">`).join("")}</datalist>
+        </div>
+        <div class="modal-row"><label>Tracking #</label>
+          <input id="shipTracking" type="text" value="${Util.esc(ship.tracking || "")}" />
+        </div>
+        <div class="modal-row"><label>Fee we paid ₱</label>
+          <input id="shipFee" type="number" step="0.01" min="0" inputmode="decimal" value="${Number(ship.fee || 0)}" />
+        </div>
+        <div class="modal-row"><label>Paid from</label>
+          <select id="shipAccount">${accountOptions}</select>
+        </div>
+        <div class="modal-row"><label>Date</label>
+          <input id="shipDate" type="date" value="${day(ship.shippedAt || Date.now())}" />
+        </div>
+        <div class="modal-row"><label>Status</label>
+          <select id="shipStatus">
+            ${Shipments.STATUSES.map((st) => `<option${st === ship.status ? " selected" : ""}>${st}</option>`).join("")}
+          </select>
+        </div>
+        <div class="modal-actions">
+          ${existing ? `<button class="btn secondary" id="delShip">Delete</button>` : ""}
+          <button class="btn secondary" id="cancelShip">Cancel</button>
+          <button class="btn primary" id="saveShip">Save</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#cancelShip").onclick = close;
+
+            const del = card.querySelector("#delShip");
+            if (del)
+                del.onclick = async () => {
+                    if (!confirm("Delete this shipment? Its fee and ship-out expense are removed.")) return;
+                    await Shipments.remove(ship.id);
+                    close();
+                    await render();
+                };
+
+            card.querySelector("#saveShip").onclick = async () => {
+                const itemIds = [...card.querySelectorAll("#shipItems input:checked")].map((el) => el.value);
+                if (!itemIds.length) {
+                    alert("Pick at least one item in this parcel.");
+                    return;
+                }
+                const fee = parseFloat(card.querySelector("#shipFee").value || "0");
+                if (isNaN(fee) || fee < 0) {
+                    alert("Please enter a valid shipping fee.");
+                    return;
+                }
+                const d = card.querySelector("#shipDate").value;
+                const status = card.querySelector("#shipStatus").value;
+                await Shipments.save(
+                    {
+                        ...ship,
+                        itemIds,
+                        fee,
+                        status,
+                        courier: card.querySelector("#shipCourier").value.trim(),
+                        tracking: card.querySelector("#shipTracking").value.trim(),
+                        // keep the time when the day didn't change
+                        shippedAt:
+                            d && d !== day(ship.shippedAt || Date.now())
+                                ? new Date(d + "T00:00").getTime()
+                                : ship.shippedAt || Date.now(),
+                    },
+                    card.querySelector("#shipAccount").value
+                );
+                close();
+                await render();
+            };
+        }
+
+        // Copy text, falling back to a prompt where the clipboard is blocked
+        async function copyText(text) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch {
+                prompt("Copy (Ctrl+C):", text);
+                return false;
+            }
+        }
+
+        // Pending balances by age bucket, with a queue for overdue buyers
+        async function showAgingModal() {
+            const sold = await Storage.load(KEYS.SOLD);
+            const { byItem } = Payments.allocateAll(sold, await Storage.load(KEYS.PAYMENTS));
+            const rows = Reminders.aging(sold, byItem);
+            const log = await Storage.load(KEYS.REMINDERS);
+            const totals = Reminders.BUCKETS.map((_, i) => rows.reduce((s, r) => s + r.buckets[i], 0));
+            const queue = rows.filter((r) => r.oldest > Reminders.OVERDUE_AFTER && !Reminders.sentToday(log, r.buyer));
+            const money = (n) => (n ? Util.fmtMoney(n) : "");
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "860px";
+            card.innerHTML = `
+        <h3>⏰ Pending payment aging</h3>
+        <div class="modal-row aging-buckets">
+          ${Reminders.BUCKETS.map(
+                (b, i) => `<div class="aging-bucket age-${i}"><span>${b.label}</span><strong>${Util.fmtMoney(totals[i])}</strong></div>`
+            ).join("")}
+        </div>
+        <div class="modal-row" style="overflow:auto;max-height:50vh;">
+          ${rows.length
+                    ? `<table class="pnl-table">
+            <thead><tr>
+              <th>Buyer</th>${Reminders.BUCKETS.map((b) => `<th>${b.label}</th>`).join("")}
+              <th>Balance</th><th>Oldest</th><th>Last reminder</th>
+            </tr></thead>
+            <tbody>
+              ${rows
+                        .map((r) => {
+                            const last = Reminders.lastFor(log, r.buyer);
+                            return `<tr>
+                <td>${Util.esc(r.buyer)}</td>
+                ${r.buckets.map((v) => `<td>${money(v)}</td>`).join("")}
+                <td><strong>${Util.fmtMoney(r.balance)}</strong></td>
+                <td><span class="age-badge age-${Reminders.bucketOf(r.oldest)}">${r.oldest} day(s)</span></td>
+                <td>${last ? `${Util.fmtDate(last.at)} • ${Reminders.LEVELS[last.level]}` : "—"}</td>
+              </tr>`;
+                        })
+                        .join("")}
+            </tbody>
+          </table>`
+                    : `<div class="meta">Nobody owes anything. 🎉</div>`}
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="closeAging">Close</button>
+          <button class="btn primary" id="startQueue" ${queue.length ? "" : "disabled"}>▶ Reminder queue (${queue.length})</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#closeAging").onclick = close;
+            card.querySelector("#startQueue").onclick = () => {
+                close();
+                showReminderQueue(queue, log);
+            };
+        }
+
+        // Step through overdue buyers one at a time; each copy is logged
+        function showReminderQueue(queue, log) {
+            let i = 0;
+            let sent = 0;
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "560px";
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => {
+                document.body.removeChild(veil);
+                if (sent) render();
+            };
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+
+            async function step() {
+                if (i >= queue.length) {
+                    card.innerHTML = `
+        <h3>Reminder queue</h3>
+        <div class="modal-row"><div class="meta">Done — ${sent} reminder(s) logged.</div></div>
+        <div class="modal-actions"><button class="btn primary" id="doneQueue">Close</button></div>`;
+                    card.querySelector("#doneQueue").onclick = close;
+                    return;
+                }
+                const row = queue[i];
+                const lvl = Reminders.level(row, log);
+                const profile = await BuyerProfile.get(row.buyer);
+                const contact = [profile?.fb, profile?.phone].filter(Boolean).map(Util.esc).join(" • ");
+                card.innerHTML = `
+        <h3>Reminder ${i + 1} of ${queue.length}: ${Util.esc(row.buyer)}</h3>
+        <div class="modal-row"><div class="meta">
+          Balance ${Util.fmtMoney(row.balance)} • ${row.count} item(s) •
+          <span class="age-badge age-${Reminders.bucketOf(row.oldest)}">${row.oldest} day(s)</span> •
+          ${Reminders.LEVELS[lvl]} reminder${contact ? ` • ${contact}` : ""}
+        </div></div>
+        <div class="modal-row"><textarea id="remText" rows="5">${Util.esc(Reminders.message(row, lvl))}</textarea></div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="closeQueue">Stop</button>
+          <button class="btn secondary" id="skipRem">Skip</button>
+          <button class="btn primary" id="sendRem">Copy &amp; log</button>
+        </div>`;
+                card.querySelector("#closeQueue").onclick = close;
+                card.querySelector("#skipRem").onclick = () => {
+                    i++;
+                    step();
+                };
+                card.querySelector("#sendRem").onclick = async () => {
+                    await copyText(card.querySelector("#remText").value);
+                    await Reminders.record(row, lvl);
+                    sent++;
+                    i++;
+                    step();
+                };
+            }
+            step();
+        }
 
         function greetingNow() {
             const h = new Date().getHours();
@@ -1893,19 +6934,19 @@ const TWX = (() => {
             const sumSoldPendingCount = document.getElementById("sumSoldPendingCount");
 
             const sold = await Storage.load(KEYS.SOLD);
-            const shipMapRaw = await Storage.load(KEYS.SHIP_OUT_MAP);
-            const shipping =
-                typeof shipMapRaw === "object" && !Array.isArray(shipMapRaw)
-                    ? shipMapRaw
-                    : {};
-
-            const paidItems = sold.filter((i) => (i.status || "Pending") === "Paid");
-            const pendingItems = sold.filter((i) => (i.status || "Pending") !== "Paid");
-            const paidRevenue = paidItems.reduce((s, i) => s + Number(i.price || 0), 0);
-            const pendingRevenue = pendingItems.reduce(
-                (s, i) => s + Number(i.price || 0),
-                0
-            );
+            await Images.resolve(sold);
+            const shipments = await Storage.load(KEYS.SHIPMENTS);
+            const { byItem, credit } = Payments.allocateAll(sold, await Storage.load(KEYS.PAYMENTS));
+            const statusOf = (i) => byItem[i.id].status;
+            const profitOf = Profit.compute(sold, Shipments.shares(sold, shipments));
+            const reminderLog = await Storage.load(KEYS.REMINDERS);
+            const ages = {};
+            Reminders.aging(sold, byItem).forEach((r) => (ages[r.buyer] = r));
+
+            const paidItems = sold.filter((i) => statusOf(i) === "Paid");
+            const pendingItems = sold.filter((i) => statusOf(i) !== "Paid");
+            const paidRevenue = sold.reduce((s, i) => s + byItem[i.id].paid, 0);
+            const pendingRevenue = sold.reduce((s, i) => s + byItem[i.id].balance, 0);
 
             if (sumSoldCount) sumSoldCount.textContent = sold.length;
             if (sumSoldValue) sumSoldValue.textContent = Util.fmtMoney(paidRevenue);
@@ -1914,6 +6955,12 @@ const TWX = (() => {
             if (sumSoldPaidCount) sumSoldPaidCount.textContent = paidItems.length;
             if (sumSoldPendingCount)
                 sumSoldPendingCount.textContent = pendingItems.length;
+            const realized = Profit.total(paidItems, profitOf);
+            const sumSoldProfit = document.getElementById("sumSoldProfit");
+            const sumSoldUnknownCost = document.getElementById("sumSoldUnknownCost");
+            if (sumSoldProfit) sumSoldProfit.textContent = Util.fmtSigned(realized.profit);
+            if (sumSoldUnknownCost)
+                sumSoldUnknownCost.textContent = sold.filter(Profit.unknownCost).length;
 
             const byBuyer = {};
             sold.forEach((item) => {
@@ -1923,13 +6970,17 @@ const TWX = (() => {
 
             const rows = Object.keys(byBuyer).map((buyer) => {
                 const list = byBuyer[buyer];
-                const hasPending = list.some((i) => (i.status || "Pending") !== "Paid");
+                const hasPending = list.some((i) => statusOf(i) !== "Paid");
                 const allPaid = !hasPending;
-                const latest = Math.max(...list.map((i) => i.soldAt || i.createdAt || 0));
+                const latest = Math.max(...list.map((i) => i.soldAt));
                 const gross = list.reduce((s, i) => s + Number(i.price || 0), 0);
-                const sf = Number(shipping[buyer] || 0);
+                const paid = list.reduce((s, i) => s + byItem[i.id].paid, 0);
+                const balance = list.reduce((s, i) => s + byItem[i.id].balance, 0);
+                const parcels = Shipments.ofBuyer(shipments, buyer);
+                const sf = parcels.reduce((s, p) => s + Number(p.fee || 0), 0);
                 const net = gross - sf;
-                return { buyer, list, allPaid, hasPending, latest, gross, sf, net };
+                const profit = Profit.total(list, profitOf);
+                return { buyer, list, allPaid, hasPending, latest, gross, paid, balance, sf, net, profit, parcels };
             });
 
             const paidBottom = (Storage.localGet(KEYS.PREF_PAID_BOTTOM) ?? "1") === "1";
@@ -1942,9 +6993,11 @@ const TWX = (() => {
 
             const frag = document.createDocumentFragment();
 
-            rows.forEach(({ buyer, list, allPaid, hasPending, gross, sf, net }) => {
+            rows.forEach(({ buyer, list, allPaid, hasPending, gross, paid, balance, sf, net, profit, parcels }) => {
+                const shown = list.filter(ItemDetails.matches);
+                if (!shown.length) return;
                 const pendingCount = list.filter(
-                    (i) => (i.status || "Pending") !== "Paid"
+                    (i) => statusOf(i) !== "Paid"
                 ).length;
 
                 const block = document.createElement("div");
@@ -1965,9 +7018,20 @@ const TWX = (() => {
                     sf
                 )} • Net: <strong>${Util.fmtMoney(net)}</strong> • ${pendingCount} pending
               </div>
+              <div class="buyer-meta">
+                Paid: ${Util.fmtMoney(paid)} • Balance: <strong>${Util.fmtMoney(balance)}</strong>${credit[buyer] ? ` • Credit: ${Util.fmtMoney(credit[buyer])}` : ""
+                    }
+              </div>
+              <div class="buyer-meta">
+                Profit: <strong class="${profit.profit >= 0 ? "amount-pos" : "amount-neg"}">${Util.fmtSigned(profit.profit)}</strong>${profit.unknown ? ` • ${profit.unknown} item(s) with unknown cost not counted` : ""
+                    }
+              </div>
+              ${ages[buyer] ? ageLine(ages[buyer], Reminders.lastFor(reminderLog, buyer)) : ""}
+              ${parcels.map((p) => shipmentLine(p, list)).join("")}
             </div>
           </div>
           <div>
+            <button class="btn secondary buyer-profile">👤 Profile</button>
             <button class="btn secondary toggle-block">Collapse</button>
           </div>`;
                 block.appendChild(header);
@@ -1980,30 +7044,38 @@ const TWX = (() => {
                 const cardsWrap = document.createElement("div");
                 cardsWrap.className = "buyer-cards";
                 cardsWrap.style.flex = "1 1 auto";
-                if (allPaid) content.style.display = "none";
+                if (allPaid && !ItemDetails.searching()) content.style.display = "none";
 
-                list.forEach((item) => {
-                    const status = item.status || "Pending";
+                shown.forEach((item) => {
+                    const { status, paid: itemPaid, balance: itemBalance } = byItem[item.id];
                     const isPaid = status === "Paid";
                     const card = document.createElement("div");
                     card.className = "card";
                     card.dataset.id = item.id;
                     card.innerHTML = `
-            <div class="img-wrap"><img src="${item.image}" alt="${Util.esc(
-                        item.name
+            ${selection.box(item.id)}
+            <div class="img-wrap"><img src="${Images.src(item.image)}" alt="${Util.esc(
+                        item.name || "Card"
                     )}" /></div>
             <div class="info">
-              <div class="title">${Util.esc(item.name)}</div>
+              <div class="title">${Util.esc(item.name || "Card")}</div>
+              ${ItemDetails.metaHTML(item)}
               <div class="meta">${Util.fmtMoney(item.price)}</div>
-              <div class="meta">${dateFmt.format(
-                        new Date(item.soldAt || item.createdAt || Date.now())
-                    )}</div>
+              <div class="meta">${profitOf[item.id].unknown
+                            ? `<span class="amount-neg" title="No buy price on record — edit the item to add it">⚠ Unknown cost</span>`
+                            : `Cost ${Util.fmtMoney(item.buy)} • SF ${Util.fmtMoney(profitOf[item.id].sf)} • Profit ${Util.fmtSigned(profitOf[item.id].profit)}`
+                        }</div>
+              ${status === "Partial"
+                            ? `<div class="meta">Paid ${Util.fmtMoney(itemPaid)} • Balance ${Util.fmtMoney(itemBalance)}</div>`
+                            : ``}
+              <div class="meta">${Util.fmtDate(item.soldAt)}</div>
               <div class="status-row">
-                <span class="status-pill ${isPaid ? "paid" : "pending"}">${isPaid ? "Paid" : "Pending"
-                        }</span>
+                <span class="status-pill ${status.toLowerCase()}">${status}</span>
                 ${!isPaid && !(multi && hasPending)
                             ? `<button class="small-btn mark-paid" data-id="${item.id}">Mark Paid</button>`
                             : ``}
+                <button class="small-btn edit-item" data-id="${item.id}" title="Edit details">✏️</button>
+                <button class="small-btn return-forsale" data-id="${item.id}" title="Return to For Sale">↩</button>
                 <button class="small-btn delete-item" data-id="${item.id}" title="Delete">🗑️</button>
               </div>
             </div>
@@ -2020,14 +7092,16 @@ const TWX = (() => {
         <button class="btn secondary follow-up">Followup invoice</button>
         <button class="btn secondary nonimg-followup">non followup</button>
         ${showMarkAllPaid ? `<button class="btn btn-rgb mark-all-paid">Mark all as paid</button>` : ``}
-        <button class="btn secondary set-sf">Set Shipping Fee</button>
-        <button class="btn secondary ship-msg-btn" data-buyer="${buyer}">Shipping Msg</button>
+        <button class="btn secondary payments-btn">Payments</button>
+        <button class="btn secondary new-shipment">New Shipment</button>
+        <button class="btn secondary ship-msg-btn" data-buyer="${Util.esc(buyer)}">Shipping Msg</button>
     `
                     : `
         <button class="btn primary thanks-invoice">Thanks invoice</button>
         <button class="btn secondary add-to-cash">Add to Cash</button>
-        <button class="btn secondary set-sf">Set Shipping Fee</button>
-        <button class="btn secondary ship-msg-btn" data-buyer="${buyer}">Shipping Msg</button>
+        <button class="btn secondary payments-btn">Payments</button>
+        <button class="btn secondary new-shipment">New Shipment</button>
+        <button class="btn secondary ship-msg-btn" data-buyer="${Util.esc(buyer)}">Shipping Msg</button>
     `;
 
 
@@ -2041,6 +7115,7 @@ const TWX = (() => {
             Util.rafBatch(() => {
                 container.innerHTML = "";
                 container.appendChild(frag);
+                selection.sync();
             });
         }
 
@@ -2069,7 +7144,8 @@ const TWX = (() => {
           <label style="display:inline-flex;gap:8px;align-items:center;cursor:pointer;">
             <input type="checkbox" id="${prefToggleId}" ${paidBottom ? "checked" : ""} />
             <span>Send fully-paid buyers to bottom</span>
-          </label>`;
+          </label>
+          <button type="button" class="btn secondary" id="agingBtn">⏰ Aging &amp; reminders</button>`;
                 (container?.parentElement || document.body).insertBefore(
                     controls,
                     container
@@ -2080,32 +7156,34 @@ const TWX = (() => {
                         Storage.localSet(KEYS.PREF_PAID_BOTTOM, e.target.checked ? "1" : "0");
                         render();
                     });
+                controls.querySelector("#agingBtn").addEventListener("click", showAgingModal);
             })();
 
             // delegation
             container.addEventListener("click", (e) => {
                 const img = e.target.closest(".img-wrap img");
                 if (img) {
-                    UI.openImageModal(img.src, img.alt);
+                    UI.openImageModal(img.src, img.alt, img.closest(".card")?.dataset.id);
                     return;
                 }
 
                 const totalInvoice = e.target.closest(".total-invoice");
                 if (totalInvoice) {
-                    const block = totalInvoice.closest(".buyer-block");
-                    const cards = Array.from(block.querySelectorAll(".buyer-cards .card"));
-                    const total = cards.reduce((s, el) => {
-                        const m = (el.querySelector(".meta")?.textContent || "").match(
-                            /₱\s?[\d,]+(?:\.\d{2})?/
-                        );
-                        return s + (m ? Number(m[0].replace(/[₱,\s]/g, "")) : 0);
-                    }, 0);
-                    const GREET = greetingNow();
-                    const GCASH = "09284281430";
-                    const MASKEDNAME = "A****' L**s M.";
-                    const invoice = `${GREET} brother, here's your tab:
-
-Total: ${Util.fmtMoney(total)}
+                    (async () => {
+                        const block = totalInvoice.closest(".buyer-block");
+                        const s = await Payments.summary(block?.dataset?.buyer || "");
+                        // Quote what is still owed; show the math once something was paid
+                        const tab = s.paid > 0
+                            ? `Total: ${Util.fmtMoney(s.due)}
+Paid: ${Util.fmtMoney(s.paid)}
+Balance: ${Util.fmtMoney(s.balance)}`
+                            : `Total: ${Util.fmtMoney(s.balance)}`;
+                        const GREET = greetingNow();
+                        const GCASH = "09284281430";
+                        const MASKEDNAME = "A****' L**s M.";
+                        const invoice = `${GREET} brother, here's your tab:
+
+${tab}
 GCash: ${GCASH}
 ${MASKEDNAME}
 
@@ -2114,10 +7192,11 @@ Can safekeep once paid, thank you!
 Scheduled Shipping is via JNT only.
 
 Thanks for your support. God bless!`;
-                    navigator.clipboard
-                        .writeText(invoice)
-                        .then(() => alert("Invoice copied."))
-                        .catch(() => prompt("Copy (Ctrl+C):", invoice));
+                        navigator.clipboard
+                            .writeText(invoice)
+                            .then(() => alert("Invoice copied."))
+                            .catch(() => prompt("Copy (Ctrl+C):", invoice));
+                    })();
                     return;
                 }
 
@@ -2133,12 +7212,37 @@ Thanks for your support. God bless!`;
 
                 const follow = e.target.closest(".follow-up");
                 if (follow) {
-                    const GREET = Util.greetingWord();
-                    const msg = `${GREET} brother, soft reminder lang po sa payment. Thanks!`;
-                    navigator.clipboard
-                        .writeText(msg)
-                        .then(() => alert("Follow-up copied."))
-                        .catch(() => prompt("Copy (Ctrl+C):", msg));
+                    (async () => {
+                        const buyer = follow.closest(".buyer-block")?.dataset?.buyer || "";
+                        const row = await Reminders.forBuyer(buyer);
+                        if (!row) {
+                            alert("Nothing outstanding for this buyer.");
+                            return;
+                        }
+                        const log = await Storage.load(KEYS.REMINDERS);
+                        if (
+                            Reminders.sentToday(log, buyer) &&
+                            !confirm(`${buyer} was already reminded today.\nCopy another reminder anyway?`)
+                        )
+                            return;
+                        // the wording escalates with the debt's age and earlier reminders
+                        const lvl = Reminders.level(row, log);
+                        if (await copyText(Reminders.message(row, lvl))) alert("Follow-up copied.");
+                        await Reminders.record(row, lvl);
+                        await render();
+                    })();
+                    return;
+                }
+
+                const profileBtn = e.target.closest(".buyer-profile");
+                if (profileBtn) {
+                    BuyerProfile.open(profileBtn.closest(".buyer-block")?.dataset?.buyer || "");
+                    return;
+                }
+
+                const paysBtn = e.target.closest(".payments-btn");
+                if (paysBtn) {
+                    showPaymentsModal(paysBtn.closest(".buyer-block")?.dataset?.buyer || "Unknown");
                     return;
                 }
 
@@ -2168,64 +7272,34 @@ Thanks for your support. God bless!`;
                     (async () => {
                         const block = markAll.closest(".buyer-block");
                         const buyer = block?.dataset?.buyer || "";
-                        const sold = await Storage.load(KEYS.SOLD);
-                        let changed = 0;
-                        sold.forEach((it) => {
-                            if ((it.buyer || "Unknown") === buyer && (it.status || "Pending") !== "Paid") {
-                                it.status = "Paid";
-                                changed++;
-                            }
-                        });
-                        if (!changed) {
+                        const s = await Payments.summary(buyer);
+                        if (s.balance <= 0) {
                             alert("Nothing to mark as paid.");
                             return;
                         }
-                        await Storage.save(KEYS.SOLD, sold);
+                        await Payments.record(buyer, {
+                            amount: s.balance,
+                            note: "Mark all as paid",
+                            itemIds: s.items.filter((it) => s.byItem[it.id].balance > 0).map((it) => it.id),
+                        });
                         await render();
                     })();
                     return;
                 }
 
-                const markPaid = e.target.closest(".mark-paid");
-                if (markPaid) {
+                const markPaidBtn = e.target.closest(".mark-paid");
+                if (markPaidBtn) {
                     (async () => {
-                        const id = markPaid.dataset.id;
-                        const sold = await Storage.load(KEYS.SOLD);
-                        const idx = sold.findIndex((x) => x.id === id);
-                        if (idx === -1) {
-                            alert("Item not found");
-                            return;
-                        }
-                        sold[idx].status = "Paid";
-                        await Storage.save(KEYS.SOLD, sold);
+                        await markPaid([markPaidBtn.dataset.id]);
                         await render();
                     })();
                     return;
                 }
 
-                const setSf = e.target.closest(".set-sf");
-                if (setSf) {
-                    (async () => {
-                        const block = setSf.closest(".buyer-block");
-                        const buyer = block?.dataset?.buyer || "Unknown";
-                        const map = await Storage.load(KEYS.SHIP_OUT_MAP);
-                        const cur = Number(map?.[buyer] || 0);
-                        const v = prompt(
-                            `Shipping fee you paid for "${buyer}" (₱):`,
-                            String(cur)
-                        )?.trim();
-                        if (v == null) return;
-                        const n = Number(v);
-                        if (isNaN(n)) {
-                            alert("Please enter a valid number.");
-                            return;
-                        }
-                        const newMap =
-                            typeof map === "object" && !Array.isArray(map) ? map : {};
-                        newMap[buyer] = n;
-                        await Storage.save(KEYS.SHIP_OUT_MAP, newMap);
-                        await render();
-                    })();
+                const shipBtn = e.target.closest(".new-shipment, .edit-shipment");
+                if (shipBtn) {
+                    const buyer = shipBtn.closest(".buyer-block")?.dataset?.buyer || "Unknown";
+                    showShipmentModal(buyer, shipBtn.dataset.id);
                     return;
                 }
 
@@ -2234,32 +7308,27 @@ Thanks for your support. God bless!`;
                     (async () => {
                         const block = addCash.closest(".buyer-block");
                         const buyer = block?.dataset?.buyer || "Unknown";
-                        const sold = await Storage.load(KEYS.SOLD);
-                        const list = sold.filter((i) => (i.buyer || "Unknown") === buyer);
-                        const allPaid = list.every((i) => (i.status || "Pending") === "Paid");
-                        if (!allPaid) {
-                            alert("This buyer is not fully paid yet.");
+                        // only payments not yet in Cash, so pressing twice can't double the income
+                        const pending = Payments.unposted(
+                            await Payments.forBuyer(buyer),
+                            await Storage.load(KEYS.CASH)
+                        );
+                        if (!pending.length) {
+                            alert("All of this buyer's payments are already in Cash.");
                             return;
                         }
-                        const total = list.reduce((s, i) => s + Number(i.price || 0), 0);
+                        const total = pending.reduce((s, p) => s + Number(p.amount || 0), 0);
 
+                        const accountOptions = await Accounts.options();
                         const veil = document.createElement("div");
                         veil.className = "modal-veil show";
                         const card = document.createElement("div");
                         card.className = "modal-card";
                         card.innerHTML = `
               <h3>Add to Cash</h3>
-              <div class="modal-row"><label>Source</label>
-                <select id="cashSrc">
-                  <option value="GCash">GCash</option>
-                  <option value="SeaBank">SeaBank</option>
-                  <option value="Cash">Cash</option>
-                </select>
-              </div>
-              <div class="modal-row"><label>Amount</label>
-                <input id="cashAmt" type="number" step="0.01" value="${Number(
-                            total
-                        ).toFixed(2)}"/>
+              <div class="modal-row"><div class="meta">${pending.length} payment(s) not in Cash yet • ${Util.fmtMoney(total)}</div></div>
+              <div class="modal-row"><label>Account</label>
+                <select id="cashSrc">${accountOptions}</select>
               </div>
               <div class="modal-row"><label>Note</label>
                 <input id="cashNote" type="text" value="Paid by ${Util.esc(buyer)}" />
@@ -2276,21 +7345,12 @@ Thanks for your support. God bless!`;
                         card.querySelector("#cancelAddCash").onclick = close;
                         card.querySelector("#okAddCash").onclick = async () => {
                             const src = card.querySelector("#cashSrc").value;
-                            const amt = parseFloat(card.querySelector("#cashAmt").value);
                             const note = (card.querySelector("#cashNote").value || "").trim();
-                            if (!src || isNaN(amt) || amt <= 0) {
-                                alert("Please set a valid source/amount.");
+                            if (!src) {
+                                alert("Please pick an account.");
                                 return;
                             }
-                            const items = await Storage.load(KEYS.CASH);
-                            items.unshift({
-                                id: Util.uid(),
-                                source: src,
-                                amount: Number(amt),
-                                note,
-                                createdAt: Date.now(),
-                            });
-                            await Storage.save(KEYS.CASH, items);
+                            await Payments.post(pending, src, note);
                             close();
                             alert("Added to Cash On Hand.");
                         };
@@ -2298,19 +7358,29 @@ Thanks for your support. God bless!`;
                     return;
                 }
 
+                const editBtn = e.target.closest(".edit-item");
+                if (editBtn) {
+                    ItemDetails.edit(KEYS.SOLD, editBtn.dataset.id).then((saved) => saved && render());
+                    return;
+                }
+
+                const backBtn = e.target.closest(".return-forsale");
+                if (backBtn) {
+                    (async () => {
+                        if (!confirm("Return this card to For Sale? The buyer and payment status are cleared."))
+                            return;
+                        await returnToForSale([backBtn.dataset.id]);
+                        await render();
+                        Util.ariaLiveAnnounce("Returned item to For Sale");
+                    })();
+                    return;
+                }
+
                 const delBtn = e.target.closest(".delete-item");
                 if (delBtn) {
                     (async () => {
-                        const id = delBtn.dataset.id;
                         if (!confirm("Delete this item from Sold?")) return;
-                        const sold = await Storage.load(KEYS.SOLD);
-                        const idx = sold.findIndex((x) => x.id === id);
-                        if (idx === -1) {
-                            alert("Item not found");
-                            return;
-                        }
-                        sold.splice(idx, 1);
-                        await Storage.save(KEYS.SOLD, sold);
+                        await removeSold([delBtn.dataset.id]);
                         await render();
                     })();
                 }
@@ -2323,10 +7393,13 @@ Thanks for your support. God bless!`;
 
             // greet picker setup handled in bindEvents (reads & writes localStorage)
             bindEvents();
+            ItemDetails.installSearch(container, render);
+            selection = Bulk.create(container, bulkActions(), render);
+            Sync.watch([KEYS.SOLD, KEYS.SHIPMENTS, KEYS.PAYMENTS, KEYS.REMINDERS], render);
             await render();
         }
 
-        return { init };
+        return { init, render, returnToForSale };
     })();
 
 
@@ -2338,13 +7411,12 @@ Thanks for your support. God bless!`;
 
         async function calcSoldRevenue() {
             const sold = await Storage.load(KEYS.SOLD);
-            const paidItems = sold.filter((i) => (i.status || "Pending") === "Paid");
-            const pendingItems = sold.filter((i) => (i.status || "Pending") !== "Paid");
-            const paidRevenue = paidItems.reduce((s, i) => s + Number(i.price || 0), 0);
-            const pendingRevenue = pendingItems.reduce(
-                (s, i) => s + Number(i.price || 0),
-                0
-            );
+            const { byItem } = Payments.allocateAll(sold, await Storage.load(KEYS.PAYMENTS));
+            const paidItems = sold.filter((i) => byItem[i.id].status === "Paid");
+            const pendingItems = sold.filter((i) => byItem[i.id].status !== "Paid");
+            // Installments count as revenue as they come in
+            const paidRevenue = sold.reduce((s, i) => s + byItem[i.id].paid, 0);
+            const pendingRevenue = sold.reduce((s, i) => s + byItem[i.id].balance, 0);
 
             const revPaidCountEl = document.getElementById("revPaidCount");
             const revPaidValueEl = document.getElementById("revPaidValue");
@@ -2358,72 +7430,119 @@ Thanks for your support. God bless!`;
             if (revPendValueEl) revPendValueEl.textContent = Util.fmtMoney(pendingRevenue);
             if (revAllValueEl) revAllValueEl.textContent = Util.fmtMoney(pendingRevenue);
 
+            const profitOf = Profit.compute(sold, Shipments.shares(sold, await Storage.load(KEYS.SHIPMENTS)));
+            const realized = Profit.total(paidItems, profitOf);
+            const revProfitEl = document.getElementById("revProfitValue");
+            const revProfitSubEl = document.getElementById("revProfitSub");
+            if (revProfitEl) revProfitEl.textContent = Util.fmtSigned(realized.profit);
+            if (revProfitSubEl)
+                revProfitSubEl.textContent = realized.unknown
+                    ? `${realized.unknown} paid item(s) with unknown cost not counted`
+                    : "Paid items, after cost and shipping";
+
             return { paidRevenue, pendingRevenue };
         }
 
+        let filter = ""; // account shown in the list ("" = all)
+
         async function render() {
-            const sumGCash = document.getElementById("sumGCash");
-            const sumSea = document.getElementById("sumSea");
-            const sumCash = document.getElementById("sumCash");
+            const balanceRow = document.getElementById("balanceRow");
             const sumTotal = document.getElementById("sumTotalCash");
             const cashList = document.getElementById("cashList");
 
+            const accounts = await Accounts.load();
             const items = await Storage.load(KEYS.CASH);
-            const totals = { GCash: 0, SeaBank: 0, Cash: 0 };
-            items.forEach((i) => {
-                totals[i.source] = (totals[i.source] || 0) + Number(i.amount || 0);
-            });
-
-            const onHandTotal =
-                (totals.GCash || 0) + (totals.SeaBank || 0) + (totals.Cash || 0);
+            // entries naming an account that was never set up still count
+            const { totals, after } = Accounts.running(items, accounts);
+            const onHandTotal = Object.values(totals).reduce((s, v) => s + v, 0);
 
-            if (sumGCash) sumGCash.textContent = Util.fmtMoney(totals.GCash || 0);
-            if (sumSea) sumSea.textContent = Util.fmtMoney(totals.SeaBank || 0);
-            if (sumCash) sumCash.textContent = Util.fmtMoney(totals.Cash || 0);
             if (sumTotal) sumTotal.textContent = Util.fmtMoney(onHandTotal);
+            if (balanceRow) {
+                balanceRow.querySelectorAll(".balance-card:not(.total)").forEach((el) => el.remove());
+                const totalCard = balanceRow.querySelector(".balance-card.total");
+                Object.keys(totals).forEach((name) => {
+                    const el = document.createElement("div");
+                    el.className = "balance-card";
+                    el.innerHTML = `<div class="balance-label">${Util.esc(name)}</div>
+            <div class="balance-value">${Util.fmtMoney(totals[name])}</div>`;
+                    balanceRow.insertBefore(el, totalCard);
+                });
+            }
+
+            const names = Object.keys(totals);
+            const srcSel = document.getElementById("c_source");
+            if (srcSel) {
+                const cur = srcSel.value;
+                srcSel.innerHTML = `<option value="">— Select Account —</option>${await Accounts.options(cur)}`;
+            }
+            const filterSel = document.getElementById("c_filter");
+            if (filterSel) {
+                if (filter && !names.includes(filter)) filter = "";
+                filterSel.innerHTML =
+                    `<option value="">All accounts</option>` +
+                    names
+                        .map((n) => `<option value="${Util.esc(n)}"${n === filter ? " selected" : ""}>${Util.esc(n)}</option>`)
+                        .join("");
+            }
 
-            const { paidRevenue } = await calcSoldRevenue();
+            await calcSoldRevenue();
 
+            // Posted payments are already in on-hand; only add what was
+            // received but never entered in Cash
+            const payments = await Storage.load(KEYS.PAYMENTS);
+            const notInCash = Payments.unposted(payments, items);
+            const uncollected = notInCash.reduce((s, p) => s + Number(p.amount || 0), 0);
             const grandTotalEl = document.getElementById("grandTotalCash");
             const grandBreakdown = document.getElementById("grandBreakdown");
-            const grand = onHandTotal + paidRevenue;
+            const grand = onHandTotal + uncollected;
             if (grandTotalEl) grandTotalEl.textContent = Util.fmtMoney(grand);
             if (grandBreakdown)
                 grandBreakdown.textContent = `On-hand ${Util.fmtMoney(
                     onHandTotal
-                )} + Paid revenue ${Util.fmtMoney(paidRevenue)}`;
+                )} + Paid, not in Cash yet ${Util.fmtMoney(uncollected)}`;
+            await renderRecon(items, payments, notInCash);
+
+            const pill = (name) => `<span class="badge ${Accounts.badge(name)}">${Util.esc(name)}</span>`;
 
             // render rows
             const frag = document.createDocumentFragment();
-            items.forEach((it) => {
-                const amt = Number(it.amount || 0);
-                const row = document.createElement("div");
-                row.className = "cash-row";
-                row.dataset.id = it.id;
-                row.innerHTML = `
+            items
+                .filter((it) => !filter || it.source === filter || it.to === filter)
+                .forEach((it) => {
+                    const amt = Number(it.amount || 0);
+                    const bal = after[it.id] || {};
+                    const row = document.createElement("div");
+                    row.className = "cash-row" + (it.to ? " transfer" : "");
+                    row.dataset.id = it.id;
+                    row.innerHTML = `
           <div class="left">
             <div>
-              <span class="badge ${it.source === "GCash"
-                        ? "badge-gcash"
-                        : it.source === "SeaBank"
-                            ? "badge-sea"
-                            : "badge-cash"
-                    }">${Util.esc(it.source)}</span>
-              • <strong class="${amt < 0 ? "amount-neg" : "amount-pos"}">${Util.fmtSigned(amt)
-                    }</strong>
+              ${it.to
+                            ? `${pill(it.source)} → ${pill(it.to)} • <strong>${Util.fmtMoney(Math.abs(amt))}</strong>`
+                            : `${pill(it.source)} • <strong class="${amt < 0 ? "amount-neg" : "amount-pos"}">${Util.fmtSigned(amt)}</strong>`
+                        }${amt < 0 && !it.to && !it.refundOf
+                            ? ` • <span class="badge badge-cat${it.category ? "" : " uncategorized"}">${Expenses.label(it.category)}</span>`
+                            : ""
+                        }
             </div>
             <div class="meta">
               <span>${Util.esc(it.note || "")}</span>
               <span>•</span>
-              <span>${dateFmt.format(new Date(it.createdAt))}</span>
+              <span>${Util.fmtDate(it.createdAt)}</span>
+              <span>•</span>
+              <span>Bal ${Object.keys(bal)
+                            .filter((n) => !filter || n === filter)
+                            .map((n) => `${Util.esc(n)} ${Util.fmtMoney(bal[n])}`)
+                            .join(", ")}</span>
             </div>
           </div>
           <div class="right">
+            ${amt < 0 && !it.to && !it.refundOf ? `<button class="small-btn set-category" title="Set category">🏷</button>` : ""}
             <button class="small-btn delete-cash">🗑️</button>
           </div>
         `;
-                frag.appendChild(row);
-            });
+                    frag.appendChild(row);
+                });
 
             Util.rafBatch(() => {
                 cashList.innerHTML = "";
@@ -2431,14 +7550,373 @@ Thanks for your support. God bless!`;
             });
         }
 
-        function bindEvents() {
-            const srcSel = document.getElementById("c_source");
-            if (srcSel && !srcSel.children.length) {
-                srcSel.innerHTML = `<option value="">— Select Source —</option>
-          <option value="GCash">GCash</option>
-          <option value="SeaBank">SeaBank</option>
-          <option value="Cash">Cash</option>`;
+        // Income entries that don't trace back to a sale, with the reason
+        async function unmatchedCash(items, payments) {
+            const soldIds = new Set((await Storage.load(KEYS.SOLD)).map((it) => it.id));
+            const refunded = new Set(items.map((c) => c.refundOf).filter(Boolean));
+            const out = [];
+            items.forEach((c) => {
+                if (c.to || c.refundOf || !(Number(c.amount) > 0) || refunded.has(c.id)) return;
+                const linked = payments.filter((p) => Payments.isPosted(p, [c]));
+                let reason = "";
+                if (c.paymentId && !linked.length) reason = "its payment was deleted";
+                else if (!c.buyer && !c.paymentId) reason = "not tied to a sale";
+                else if (!linked.length) reason = "no matching payment";
+                else if ((c.soldIds || []).length && !c.soldIds.some((id) => soldIds.has(id)))
+                    reason = "its items are no longer Sold";
+                if (reason) out.push({ entry: c, reason });
+            });
+            return out;
+        }
+
+        async function renderRecon(items, payments, notInCash) {
+            const box = document.getElementById("reconList");
+            if (!box) return;
+            const unmatched = await unmatchedCash(items, payments);
+            if (!notInCash.length && !unmatched.length) {
+                box.innerHTML = `<div class="meta">All payments are in Cash and every sale entry matches.</div>`;
+                return;
+            }
+            const sel = box.querySelector("#reconAccount")?.value || "";
+            box.innerHTML = `
+        ${notInCash.length
+                    ? `<div class="recon-head">Paid, not in Cash yet (${notInCash.length})
+            <select id="reconAccount" aria-label="Account to post into">${await Accounts.options(sel)}</select>
+            <button class="small-btn recon-post-all">Post all</button>
+          </div>
+          ${notInCash
+                        .map(
+                            (p) => `<div class="recon-row">
+            <span>${Util.esc(p.buyer)} • <strong>${Util.fmtMoney(p.amount)}</strong> • ${Util.fmtDate(p.paidAt)}${p.note ? ` • ${Util.esc(p.note)}` : ""
+                                }</span>
+            <button class="small-btn recon-post" data-id="${p.id}">Post</button>
+          </div>`
+                        )
+                        .join("")}`
+                    : ""}
+        ${unmatched.length
+                    ? `<div class="recon-head">Cash with no matching sale (${unmatched.length})</div>
+          ${unmatched
+                        .map(
+                            ({ entry: c, reason }) => `<div class="recon-row">
+            <span><span class="badge ${Accounts.badge(c.source)}">${Util.esc(c.source)}</span> • <strong>${Util.fmtMoney(
+                                c.amount
+                            )}</strong> • ${Util.esc(c.note || "")} • <em>${reason}</em></span>
+          </div>`
+                        )
+                        .join("")}`
+                    : ""}`;
+        }
+
+        async function showCategoryModal(id) {
+            const entry = (await Storage.load(KEYS.CASH)).find((c) => c.id === id);
+            if (!entry) return;
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.innerHTML = `
+        <h3>Expense category</h3>
+        <div class="modal-row"><div class="meta">${Util.esc(entry.note || "")} • ${Util.fmtMoney(Math.abs(entry.amount))}</div></div>
+        <div class="modal-row"><label>Category</label>
+          <select id="catSel">${Expenses.options(entry.category || "other")}</select>
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="cancelCat">Cancel</button>
+          <button class="btn primary" id="okCat">Save</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#cancelCat").onclick = close;
+            card.querySelector("#okCat").onclick = async () => {
+                const items = await Storage.load(KEYS.CASH);
+                const it = items.find((c) => c.id === id);
+                if (it) {
+                    it.category = card.querySelector("#catSel").value;
+                    await Storage.save(KEYS.CASH, items);
+                }
+                close();
+                await render();
+            };
+        }
+
+        async function showPnLModal() {
+            const months = Expenses.monthly(await Storage.load(KEYS.SOLD), await Storage.load(KEYS.CASH));
+            const keys = Object.keys(months).sort().reverse();
+            const cats = Object.keys(Expenses.CATEGORIES).filter((c) => keys.some((k) => months[k].expenses[c]));
+            const money = (n) => Util.fmtMoney(n);
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "860px";
+            card.innerHTML = `
+        <h3>Profit &amp; Loss by month</h3>
+        <div class="modal-row"><div class="meta">Revenue and COGS follow the month a card sold; card purchases and ship-in are counted as COGS, not expenses.</div></div>
+        <div class="modal-row" style="overflow:auto;max-height:60vh;">
+          ${keys.length
+                    ? `<table class="pnl-table">
+            <thead><tr>
+              <th>Month</th><th>Revenue</th><th>COGS</th><th>Gross</th>
+              ${cats.map((c) => `<th>${Expenses.label(c)}</th>`).join("")}
+              <th>Expenses</th><th>Net profit</th>
+            </tr></thead>
+            <tbody>
+              ${keys
+                        .map((k) => {
+                            const m = months[k];
+                            const label = new Date(k + "-01T00:00").toLocaleDateString("en-PH", {
+                                month: "short",
+                                year: "numeric",
+                            });
+                            return `<tr>
+                <td>${label}</td>
+                <td>${money(m.revenue)}</td>
+                <td>${money(m.cogs)}${m.unknownCost ? ` <span class="meta" title="Cards with no cost on record">⚠ ${m.unknownCost}</span>` : ""}</td>
+                <td>${money(m.revenue - m.cogs)}</td>
+                ${cats.map((c) => `<td>${money(m.expenses[c] || 0)}</td>`).join("")}
+                <td>${money(m.expenseTotal)}${m.uncategorized ? ` <span class="meta" title="Uncategorized deductions, not subtracted">+ ${money(m.uncategorized)} ?</span>` : ""}</td>
+                <td class="${m.net >= 0 ? "amount-pos" : "amount-neg"}"><strong>${Util.fmtSigned(m.net)}</strong></td>
+              </tr>`;
+                        })
+                        .join("")}
+            </tbody>
+          </table>`
+                    : `<div class="meta">No sales or expenses yet.</div>`}
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="closePnl">Close</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#closePnl").onclick = close;
+        }
+
+        async function showTransferModal() {
+            const accountOptions = await Accounts.options();
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.innerHTML = `
+        <h3>Transfer between accounts</h3>
+        <div class="modal-row"><label>From</label><select id="trFrom">${accountOptions}</select></div>
+        <div class="modal-row"><label>To</label><select id="trTo">${accountOptions}</select></div>
+        <div class="modal-row"><label>Amount</label>
+          <input id="trAmt" type="number" step="0.01" min="0" inputmode="decimal" />
+        </div>
+        <div class="modal-row"><label>Note</label>
+          <input id="trNote" type="text" placeholder="Cash-in, withdrawal…" />
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="cancelTr">Cancel</button>
+          <button class="btn primary" id="okTr">Transfer</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => document.body.removeChild(veil);
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#cancelTr").onclick = close;
+            const toSel = card.querySelector("#trTo");
+            if (toSel.options.length > 1) toSel.selectedIndex = 1;
+
+            card.querySelector("#okTr").onclick = async () => {
+                const from = card.querySelector("#trFrom").value;
+                const to = toSel.value;
+                const amount = parseFloat(card.querySelector("#trAmt").value);
+                if (!from || !to || from === to) {
+                    alert("Pick two different accounts.");
+                    return;
+                }
+                if (isNaN(amount) || amount <= 0) {
+                    alert("Please enter a valid amount.");
+                    return;
+                }
+                const items = await Storage.load(KEYS.CASH);
+                items.unshift({
+                    id: Util.uid(),
+                    source: from,
+                    to,
+                    amount,
+                    note: (card.querySelector("#trNote").value || "").trim() || "Transfer",
+                    createdAt: Date.now(),
+                });
+                await Storage.save(KEYS.CASH, items);
+                close();
+                await render();
+            };
+        }
+
+        async function showAccountsModal() {
+            const veil = document.createElement("div");
+            veil.className = "modal-veil show";
+            const card = document.createElement("div");
+            card.className = "modal-card";
+            card.style.maxWidth = "520px";
+            card.innerHTML = `
+        <h3>Cash accounts</h3>
+        <div class="modal-row">
+          <div id="acctList" style="display:flex;flex-direction:column;gap:8px;max-height:300px;overflow:auto;"></div>
+        </div>
+        <div class="modal-row"><label>New account</label>
+          <input id="acctName" type="text" placeholder="e.g. Maya, BPI" />
+        </div>
+        <div class="modal-row"><label>Opening balance</label>
+          <input id="acctOpening" type="number" step="0.01" inputmode="decimal" value="0" />
+        </div>
+        <div class="modal-actions">
+          <button class="btn secondary" id="closeAcct">Close</button>
+          <button class="btn primary" id="addAcct">Add Account</button>
+        </div>`;
+            veil.appendChild(card);
+            document.body.appendChild(veil);
+            const close = () => {
+                document.body.removeChild(veil);
+                render();
+            };
+            veil.onclick = close;
+            card.onclick = (e) => e.stopPropagation();
+            card.querySelector("#closeAcct").onclick = close;
+
+            const list = card.querySelector("#acctList");
+            async function fill() {
+                list.innerHTML = (await Accounts.load())
+                    .map(
+                        (a) => `
+              <div style="display:flex;align-items:center;gap:8px;justify-content:space-between">
+                <div style="flex:1 1 auto">
+                  <span class="badge ${Accounts.badge(a.name)}">${Util.esc(a.name)}</span>
+                  <div class="meta">Opening ${Util.fmtMoney(a.opening)}</div>
+                </div>
+                <div>
+                  <button class="small-btn" data-act="rename" data-id="${a.id}">Rename</button>
+                  <button class="small-btn" data-act="opening" data-id="${a.id}">Opening</button>
+                  <button class="small-btn" data-act="delete" data-id="${a.id}">Delete</button>
+                </div>
+              </div>`
+                    )
+                    .join("");
             }
+            await fill();
+
+            list.onclick = async (e) => {
+                const btn = e.target.closest("button[data-act]");
+                if (!btn) return;
+                const acct = (await Accounts.load()).find((a) => a.id === btn.dataset.id);
+                if (!acct) return;
+                if (btn.dataset.act === "rename") {
+                    const nn = prompt("New name for account:", acct.name)?.trim();
+                    if (!nn || nn === acct.name) return;
+                    if ((await Accounts.names()).includes(nn)) {
+                        alert("An account with that name already exists.");
+                        return;
+                    }
+                    await Accounts.update(acct.id, { name: nn });
+                }
+                if (btn.dataset.act === "opening") {
+                    const v = prompt(`Opening balance for ${acct.name} (₱):`, String(acct.opening || 0))?.trim();
+                    if (v == null) return;
+                    const n = Number(v);
+                    if (isNaN(n)) {
+                        alert("Please enter a valid number.");
+                        return;
+                    }
+                    await Accounts.update(acct.id, { opening: n });
+                }
+                if (btn.dataset.act === "delete") {
+                    if (!confirm(`Delete account "${acct.name}"?`)) return;
+                    if (!(await Accounts.remove(acct.id))) {
+                        alert("This account has cash entries or payments. Delete or move them first.");
+                        return;
+                    }
+                }
+                await fill();
+            };
+
+            card.querySelector("#addAcct").onclick = async () => {
+                const name = (card.querySelector("#acctName").value || "").trim();
+                const opening = Number(card.querySelector("#acctOpening").value || 0);
+                if (!name) {
+                    alert("Please enter a name.");
+                    return;
+                }
+                if (isNaN(opening)) {
+                    alert("Please enter a valid opening balance.");
+                    return;
+                }
+                if (!(await Accounts.add(name, opening))) {
+                    alert("An account with that name already exists.");
+                    return;
+                }
+                card.querySelector("#acctName").value = "";
+                card.querySelector("#acctOpening").value = "0";
+                await fill();
+            };
+        }
+
+        function installButtons() {
+            const headerBrand = document.querySelector(".topbar .branding");
+            if (!headerBrand || document.getElementById("btnAccounts")) return;
+            const b = document.createElement("button");
+            b.id = "btnAccounts";
+            b.type = "button";
+            b.textContent = "🏦 Accounts";
+            b.className = "btn secondary";
+            b.style.marginLeft = "8px";
+            b.onclick = () => showAccountsModal();
+            headerBrand.appendChild(b);
+
+            const pnl = document.createElement("button");
+            pnl.id = "btnPnL";
+            pnl.type = "button";
+            pnl.textContent = "📊 P&L";
+            pnl.className = "btn secondary";
+            pnl.style.marginLeft = "8px";
+            pnl.onclick = () => showPnLModal();
+            headerBrand.appendChild(pnl);
+        }
+
+        function bindEvents() {
+            document.getElementById("c_filter")?.addEventListener("change", (e) => {
+                filter = e.target.value;
+                render();
+            });
+            document.getElementById("transferCashBtn")?.addEventListener("click", () => showTransferModal());
+
+            const catSel = document.getElementById("c_category");
+            if (catSel && !catSel.children.length)
+                catSel.innerHTML = `<option value="">— Expense category —</option>${Expenses.options()}`;
+
+            document.getElementById("reconList")?.addEventListener("click", async (e) => {
+                const btn = e.target.closest(".recon-post, .recon-post-all");
+                if (!btn) return;
+                const account = document.getElementById("reconAccount")?.value;
+                if (!account) {
+                    alert("Please pick an account.");
+                    return;
+                }
+                const payments = await Storage.load(KEYS.PAYMENTS);
+                const picked = btn.dataset.id ? payments.filter((p) => p.id === btn.dataset.id) : payments;
+                if (!btn.dataset.id) {
+                    const fresh = Payments.unposted(picked, await Storage.load(KEYS.CASH));
+                    const total = fresh.reduce((s, p) => s + Number(p.amount || 0), 0);
+                    if (
+                        !confirm(
+                            `Post ${fresh.length} payment(s) totalling ${Util.fmtMoney(total)} into ${account}?\nOnly do this for money that isn't in Cash yet.`
+                        )
+                    )
+                        return;
+                }
+                await Payments.post(picked, account);
+                await render();
+            });
 
             function readInputs() {
                 const source = (document.getElementById("c_source").value || "").trim();
@@ -2453,7 +7931,7 @@ Thanks for your support. God bless!`;
             addBtn?.addEventListener("click", async () => {
                 const { source, amount, note } = readInputs();
                 if (!source) {
-                    alert("Please select a source.");
+                    alert("Please select an account.");
                     return;
                 }
                 if (isNaN(amount) || amount <= 0) {
@@ -2478,8 +7956,13 @@ Thanks for your support. God bless!`;
             const deductBtn = document.getElementById("deductCashBtn");
             deductBtn?.addEventListener("click", async () => {
                 const { source, amount, note } = readInputs();
+                const category = document.getElementById("c_category")?.value || "";
                 if (!source) {
-                    alert("Please select a source.");
+                    alert("Please select an account.");
+                    return;
+                }
+                if (!category) {
+                    alert("Please pick an expense category.");
                     return;
                 }
                 if (isNaN(amount) || amount <= 0) {
@@ -2491,18 +7974,25 @@ Thanks for your support. God bless!`;
                     id: Util.uid(),
                     source,
                     amount: -Math.abs(Number(amount)),
-                    note: note || "Purchase deduction",
+                    note: note || Expenses.label(category),
+                    category,
                     createdAt: Date.now(),
                 });
                 await Storage.save(KEYS.CASH, items);
                 document.getElementById("c_source").value = "";
                 document.getElementById("c_amount").value = "";
                 document.getElementById("c_note").value = "";
+                document.getElementById("c_category").value = "";
                 await render();
             });
 
             // delete via delegation
             document.getElementById("cashList")?.addEventListener("click", (e) => {
+                const catBtn = e.target.closest(".set-category");
+                if (catBtn) {
+                    showCategoryModal(catBtn.closest(".cash-row").dataset.id);
+                    return;
+                }
                 const btn = e.target.closest(".delete-cash");
                 if (!btn) return;
                 (async () => {
@@ -2521,10 +8011,260 @@ Thanks for your support. God bless!`;
             app = document.getElementById("cashApp");
             if (!app) return;
             bindEvents();
+            installButtons();
+            Sync.watch([KEYS.CASH, KEYS.ACCOUNTS, KEYS.SOLD, KEYS.PAYMENTS, KEYS.SHIPMENTS], render);
+            await render();
+        }
+
+        return { init, render };
+    })();
+
+    /* =========================================
+       DASHBOARD PAGE (dashboard.html)
+       Plain SVG charts; every figure follows the date range.
+    ========================================= */
+    const Dashboard = (() => {
+        const DAY = 86400000;
+        const W = 640;
+        const H = 220;
+        const PAD = { l: 64, r: 12, t: 12, b: 28 };
+        const COLORS = { revenue: "#19c3ff", profit: "#00ff88", bought: "#0077ff", sold: "#ff7b00" };
+        let range = { from: null, to: null }; // ms, inclusive; null = open
+
+        const inRange = (t) => t && (!range.from || t >= range.from) && (!range.to || t <= range.to);
+        const boughtAt = (it) => it.boughtAt || it.createdAt;
+        const short = (n) =>
+            Math.abs(n) >= 1000 ? "₱" + (n / 1000).toFixed(Math.abs(n) >= 10000 ? 0 : 1) + "k" : "₱" + Math.round(n);
+
+        // Period key and label for a timestamp
+        function period(t, grain) {
+            const d = new Date(t);
+            if (grain === "month") {
+                const key = d.toLocaleDateString("en-CA").slice(0, 7);
+                return { key, label: d.toLocaleDateString("en-PH", { month: "short", year: "2-digit" }) };
+            }
+            const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+            return {
+                key: monday.toLocaleDateString("en-CA"),
+                label: monday.toLocaleDateString("en-PH", { month: "short", day: "numeric" }),
+            };
+        }
+
+        // Every period between the first and last timestamp, so gaps show as zero
+        function periods(times, grain) {
+            if (!times.length) return [];
+            const out = [];
+            const seen = new Set();
+            const last = Math.max(...times);
+            for (let t = Math.min(...times); t <= last + DAY; t += DAY) {
+                const p = period(Math.min(t, last), grain);
+                if (!seen.has(p.key)) {
+                    seen.add(p.key);
+                    out.push(p);
+                }
+            }
+            return out;
+        }
+
+        function empty(el) {
+            el.innerHTML = `<div class="meta">No data in this range.</div>`;
+        }
+
+        // y scale plus three gridlines labelled with fmt
+        function axis(max, min, fmt) {
+            const y = (v) => PAD.t + (H - PAD.t - PAD.b) * (1 - (v - min) / (max - min || 1));
+            const ticks = [min, (min + max) / 2, max]
+                .map(
+                    (v) => `<line x1="${PAD.l}" x2="${W - PAD.r}" y1="${y(v)}" y2="${y(v)}" class="grid" />
+              <text x="${PAD.l - 6}" y="${y(v) + 4}" text-anchor="end">${fmt(v)}</text>`
+                )
+                .join("");
+            return { y, ticks };
+        }
+
+        function labelsX(labels, x) {
+            const every = Math.ceil(labels.length / 8);
+            return labels
+                .map((l, i) => (i % every ? "" : `<text x="${x(i)}" y="${H - 8}" text-anchor="middle">${Util.esc(l)}</text>`))
+                .join("");
+        }
+
+        // Bars for the first series, lines for the rest
+        function barLine(el, labels, series, { money = true } = {}) {
+            if (!labels.length) return empty(el);
+            const values = series.flatMap((s) => s.values);
+            const max = Math.max(1, ...values);
+            const min = Math.min(0, ...values);
+            const { y, ticks } = axis(max, min, money ? short : (v) => Math.round(v));
+            const step = (W - PAD.l - PAD.r) / labels.length;
+            const x = (i) => PAD.l + step * (i + 0.5);
+            const [bars, ...lines] = series;
+            const bw = Math.max(2, step * 0.6);
+            const barSvg = bars.values
+                .map(
+                    (v, i) => `<rect x="${x(i) - bw / 2}" y="${Math.min(y(v), y(0))}" width="${bw}" height="${Math.abs(y(v) - y(0))}" fill="${bars.color
+                        }"><title>${Util.esc(labels[i])}: ${money ? Util.fmtMoney(v) : v} ${bars.name}</title></rect>`
+                )
+                .join("");
+            const lineSvg = lines
+                .map(
+                    (s) => `<polyline fill="none" stroke="${s.color}" stroke-width="2" points="${s.values
+                        .map((v, i) => `${x(i)},${y(v)}`)
+                        .join(" ")}" />${s.values
+                            .map(
+                                (v, i) => `<circle cx="${x(i)}" cy="${y(v)}" r="3" fill="${s.color}"><title>${Util.esc(labels[i])}: ${money ? Util.fmtMoney(v) : v
+                                    } ${s.name}</title></circle>`
+                            )
+                            .join("")}`
+                )
+                .join("");
+            el.innerHTML = `
+          <svg viewBox="0 0 ${W} ${H}" class="dash-svg" role="img">${ticks}${barSvg}${lineSvg}${labelsX(labels, x)}</svg>
+          <div class="dash-legend">${series
+                    .map((s) => `<span><i style="background:${s.color}"></i>${s.name}</span>`)
+                    .join("")}</div>`;
+        }
+
+        // Horizontal bars, largest first
+        function ranking(el, rows, fmt) {
+            if (!rows.length) return empty(el);
+            const max = Math.max(...rows.map((r) => r.value), 1);
+            el.innerHTML = rows
+                .map(
+                    (r) => `<div class="dash-rank">
+              <span class="name" title="${Util.esc(r.name)}">${Util.esc(r.name)}</span>
+              <span class="bar"><i style="width:${Math.max(2, (100 * r.value) / max)}%"></i></span>
+              <span class="val">${fmt(r)}</span>
+            </div>`
+                )
+                .join("");
+        }
+
+        function top(items, keyOf, profitOf, n = 8) {
+            const by = {};
+            items.forEach((it) => {
+                const k = keyOf(it) || "Unknown";
+                const row = (by[k] ||= { name: k, value: 0, count: 0, profit: 0 });
+                row.value += Number(it.price || 0);
+                row.count++;
+                if (!profitOf[it.id].unknown) row.profit += profitOf[it.id].profit;
+            });
+            return Object.values(by)
+                .sort((a, b) => b.value - a.value)
+                .slice(0, n);
+        }
+
+        async function render() {
+            const grain = document.getElementById("dashGrain")?.value || "month";
+            const allSold = await Storage.load(KEYS.SOLD);
+            const profitOf = Profit.compute(allSold, Shipments.shares(allSold, await Storage.load(KEYS.SHIPMENTS)));
+            const sold = allSold.filter((it) => inRange(it.soldAt));
+            // every card we ever bought, wherever it is now
+            const everything = [
+                ...(await Storage.load(KEYS.BOUGHT)),
+                ...(await Storage.load(KEYS.FORSALE)),
+                ...allSold,
+            ];
+            const bought = everything.filter((it) => inRange(boughtAt(it)));
+
+            const revenue = sold.reduce((s, it) => s + Number(it.price || 0), 0);
+            const profit = Profit.total(sold, profitOf);
+            const boughtSold = bought.filter((it) => it.soldAt);
+            const held = sold.filter((it) => boughtAt(it)).map((it) => (it.soldAt - boughtAt(it)) / DAY);
+            const set = (id, text) => {
+                const el = document.getElementById(id);
+                if (el) el.textContent = text;
+            };
+            set("dashRevenue", Util.fmtMoney(revenue));
+            set("dashSoldCount", `${sold.length} card(s) sold`);
+            set("dashProfit", Util.fmtSigned(profit.profit));
+            set(
+                "dashProfitSub",
+                profit.unknown ? `${profit.unknown} card(s) with unknown cost not counted` : "After cost and shipping"
+            );
+            set("dashSellThrough", bought.length ? Math.round((100 * boughtSold.length) / bought.length) + "%" : "—");
+            set("dashSellThroughSub", `${boughtSold.length} of ${bought.length} card(s) bought in range have sold`);
+            set("dashDaysToSell", held.length ? (held.reduce((a, b) => a + b, 0) / held.length).toFixed(1) : "—");
+
+            const ps = periods([...sold.map((it) => it.soldAt), ...bought.map(boughtAt)], grain);
+            const idx = {};
+            ps.forEach((p, i) => (idx[p.key] = i));
+            const zeros = () => ps.map(() => 0);
+            const rev = zeros();
+            const prof = zeros();
+            const nSold = zeros();
+            const nBought = zeros();
+            sold.forEach((it) => {
+                const i = idx[period(it.soldAt, grain).key];
+                rev[i] += Number(it.price || 0);
+                nSold[i]++;
+                if (!profitOf[it.id].unknown) prof[i] += profitOf[it.id].profit;
+            });
+            bought.forEach((it) => nBought[idx[period(boughtAt(it), grain).key]]++);
+            const labels = ps.map((p) => p.label);
+
+            barLine(document.getElementById("chartRevenue"), labels, [
+                { name: "Revenue", color: COLORS.revenue, values: rev },
+                { name: "Profit", color: COLORS.profit, values: prof },
+            ]);
+            barLine(
+                document.getElementById("chartFlow"),
+                labels,
+                [
+                    { name: "Bought", color: COLORS.bought, values: nBought },
+                    { name: "Sold", color: COLORS.sold, values: nSold },
+                ],
+                { money: false }
+            );
+            ranking(document.getElementById("chartBuyers"), top(sold, (it) => it.buyer, profitOf), (r) =>
+                `${Util.fmtMoney(r.value)} • ${r.count}`
+            );
+            ranking(document.getElementById("chartSellers"), top(sold, (it) => it.seller, profitOf), (r) =>
+                `${Util.fmtMoney(r.value)} • ${Util.fmtSigned(r.profit)}`
+            );
+        }
+
+        function setRange(preset) {
+            const today = new Date();
+            const start = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+            if (preset === "all") range = { from: null, to: null };
+            else if (preset === "year") range = { from: new Date(today.getFullYear(), 0, 1).getTime(), to: null };
+            else range = { from: start(today) - (Number(preset) - 1) * DAY, to: null };
+            const day = (t) => (t ? new Date(t).toLocaleDateString("en-CA") : "");
+            document.getElementById("dashFrom").value = day(range.from);
+            document.getElementById("dashTo").value = day(range.to);
+        }
+
+        function bindEvents() {
+            const fromEl = document.getElementById("dashFrom");
+            const toEl = document.getElementById("dashTo");
+            const readDates = () => {
+                range = {
+                    from: fromEl.value ? new Date(fromEl.value + "T00:00").getTime() : null,
+                    to: toEl.value ? new Date(toEl.value + "T23:59:59.999").getTime() : null,
+                };
+                render();
+            };
+            fromEl?.addEventListener("change", readDates);
+            toEl?.addEventListener("change", readDates);
+            document.getElementById("dashGrain")?.addEventListener("change", render);
+            document.querySelectorAll(".dash-filter [data-range]").forEach((b) =>
+                b.addEventListener("click", () => {
+                    setRange(b.dataset.range);
+                    render();
+                })
+            );
+        }
+
+        async function init() {
+            if (!document.getElementById("dashApp")) return;
+            bindEvents();
+            setRange("90");
+            Sync.watch([KEYS.SOLD, KEYS.BOUGHT, KEYS.FORSALE, KEYS.SHIPMENTS], render);
             await render();
         }
 
-        return { init };
+        return { init, render };
     })();
 
     /* =========================================
@@ -2589,17 +8329,33 @@ Thanks for your support. God bless!`;
     }
 
 
-    document.addEventListener("DOMContentLoaded", () => {
+    document.addEventListener("DOMContentLoaded", async () => {
         UI.initModal();
         UI.markActiveNav();
         initSummaryPanels();
         initGoogleButtons();
 
+        // Bring stored data up to the current schema before anything renders
+        try {
+            await Migrate.runAll();
+        } catch (err) {
+            console.error("[Twicks Migrate] failed:", err);
+            alert(
+                `⚠ Couldn't upgrade your stored data (${err.message}).\nPages may show incomplete figures. Run "Check data" or restore a backup.`
+            );
+        }
+        Sync.start();
+        History.start();
+        Images.start();
+        Quota.start();
+        Integrity.installButton();
+
         // Initialize per page
         Inventory.init();
         ForSale.init();
         Sold.init();
         Cash.init();
+        Dashboard.init();
     });
 
     // public API (if ever needed)